@@ -8,6 +8,7 @@ const path = require('path');
 const authRoutes = require('./routes/auth');
 const webinarRoutes = require('./routes/webinars');
 const userRoutes = require('./routes/users');
+const calendarRoutes = require('./routes/calendar');
 
 // Import middleware
 const authMiddleware = require('./middleware/auth');
@@ -92,6 +93,7 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/webinars', authMiddleware, webinarRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
+app.use('/api/calendar', calendarRoutes); // token authenticated feeds
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -0,0 +1,15 @@
+// Public URL of the frontend, used for links in calendar events, invitations and emails
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+// Outgoing email is handed to an HTTP relay (e.g. a mail provider webhook).
+// Email notifications are skipped when no relay is configured.
+const EMAIL_WEBHOOK_URL = process.env.EMAIL_WEBHOOK_URL || null;
+const EMAIL_FROM = process.env.EMAIL_FROM || 'no-reply@webinar.local';
+const EMAIL_TIMEOUT_MS = parseInt(process.env.EMAIL_TIMEOUT_MS, 10) || 5000;
+
+module.exports = {
+  APP_URL,
+  EMAIL_WEBHOOK_URL,
+  EMAIL_FROM,
+  EMAIL_TIMEOUT_MS
+};
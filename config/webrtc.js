@@ -0,0 +1,21 @@
+// ICE servers handed to WebRTC clients. TURN credentials are issued per user
+// using the coturn REST API scheme (use-auth-secret / static-auth-secret).
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const STUN_URLS = process.env.STUN_URLS
+  ? splitList(process.env.STUN_URLS)
+  : ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+
+const TURN_URLS = splitList(process.env.TURN_URLS); // e.g. turn:turn.example.com:3478?transport=udp
+const TURN_SECRET = process.env.TURN_SECRET || null;
+const TURN_CREDENTIAL_TTL = parseInt(process.env.TURN_CREDENTIAL_TTL) || 4 * 60 * 60; // seconds
+
+module.exports = {
+  STUN_URLS,
+  TURN_URLS,
+  TURN_SECRET,
+  TURN_CREDENTIAL_TTL
+};
@@ -10,23 +10,72 @@ export interface PeerConnection {
   username: string
 }
 
+// Used when the backend can't be reached for the ICE configuration
+const FALLBACK_ICE_SERVERS: RTCIceServer[] = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' }
+]
+
+// Fetch fresh TURN credentials this long before the current ones expire
+const ICE_REFRESH_MARGIN_MS = 5 * 60 * 1000
+
+interface IceConfig {
+  iceServers: RTCIceServer[]
+  expiresAt: number | null
+}
+
 export const useWebRTC = (roomId: string, userId: string, localStream: MediaStream | null) => {
   const [peers, setPeers] = useState<PeerConnection[]>([])
   const [isInitiator, setIsInitiator] = useState(false)
   const peersRef = useRef<PeerConnection[]>([])
+  const iceConfigRef = useRef<IceConfig | null>(null)
+  const iceRequestRef = useRef<Promise<RTCIceServer[]> | null>(null)
+
+  // ICE servers for the room (STUN plus short-lived TURN credentials), fetched
+  // from the backend and cached until the credentials are about to expire
+  const getIceServers = useCallback((): Promise<RTCIceServer[]> => {
+    const cached = iceConfigRef.current
+    if (cached && (cached.expiresAt === null || cached.expiresAt - Date.now() > ICE_REFRESH_MARGIN_MS)) {
+      return Promise.resolve(cached.iceServers)
+    }
+
+    if (!iceRequestRef.current) {
+      iceRequestRef.current = (async () => {
+        try {
+          const token = localStorage.getItem('token')
+          const response = await fetch(`http://localhost:5000/api/webinars/${roomId}/ice-servers`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+          })
+          const data = await response.json()
+
+          if (!response.ok || !data.success) {
+            throw new Error(data.message || 'Failed to fetch ICE servers')
+          }
+
+          iceConfigRef.current = {
+            iceServers: data.data.iceServers,
+            expiresAt: data.data.expiresAt ? new Date(data.data.expiresAt).getTime() : null
+          }
+          return iceConfigRef.current.iceServers
+        } catch (error) {
+          console.error('Error fetching ICE servers, falling back to public STUN:', error)
+          return FALLBACK_ICE_SERVERS
+        } finally {
+          iceRequestRef.current = null
+        }
+      })()
+    }
+
+    return iceRequestRef.current
+  }, [roomId])
 
   // Create peer connection
-  const createPeer = useCallback((targetUserId: string, targetUsername: string, targetSocketId: string, stream: MediaStream) => {
+  const createPeer = useCallback((targetUserId: string, targetUsername: string, targetSocketId: string, stream: MediaStream, iceServers: RTCIceServer[]) => {
     const peer = new Peer({
       initiator: isInitiator,
       trickle: false,
       stream,
-      config: {
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:stun1.l.google.com:19302' }
-        ]
-      }
+      config: { iceServers }
     })
 
     peer.on('signal', (signal) => {
@@ -85,20 +134,16 @@ export const useWebRTC = (roomId: string, userId: string, localStream: MediaStre
   }, [])
 
   // Handle incoming offer
-  const handleOffer = useCallback((data: { fromUserId: string; fromUsername: string; offer: any }) => {
+  const handleOffer = useCallback(async (data: { fromUserId: string; fromUsername: string; offer: any }) => {
     if (!localStream) return
 
     console.log('Received offer from:', data.fromUsername)
+    const iceServers = await getIceServers()
     const peer = new Peer({
       initiator: false,
       trickle: false,
       stream: localStream,
-      config: {
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:stun1.l.google.com:19302' }
-        ]
-      }
+      config: { iceServers }
     })
 
     peer.on('signal', (signal) => {
@@ -142,7 +187,7 @@ export const useWebRTC = (roomId: string, userId: string, localStream: MediaStre
 
     peersRef.current.push(peerConnection)
     setPeers(prevPeers => [...prevPeers, peerConnection])
-  }, [localStream, removePeer])
+  }, [localStream, removePeer, getIceServers])
 
   // Handle incoming answer
   const handleAnswer = useCallback((data: { fromUserId: string; fromUsername: string; answer: any }) => {
@@ -162,8 +207,9 @@ export const useWebRTC = (roomId: string, userId: string, localStream: MediaStre
   }, [])
 
   // Initialize WebRTC when joining room
-  const initializeWebRTC = useCallback((participants: Participant[], stream: MediaStream) => {
+  const initializeWebRTC = useCallback(async (participants: Participant[], stream: MediaStream) => {
     console.log('Initializing WebRTC with participants:', participants.length)
+    const iceServers = await getIceServers()
 
     // Determine if this user should be the initiator
     // Usually the first participant or host initiates connections
@@ -174,18 +220,19 @@ export const useWebRTC = (roomId: string, userId: string, localStream: MediaStre
     // Create peer connections for existing participants
     participants.forEach(participant => {
       if (participant.userId !== userId) {
-        createPeer(participant.userId, participant.username, participant.socketId, stream)
+        createPeer(participant.userId, participant.username, participant.socketId, stream, iceServers)
       }
     })
-  }, [userId, createPeer])
+  }, [userId, createPeer, getIceServers])
 
   // Handle new participant joining
-  const handleParticipantJoined = useCallback((data: { user: Participant }, stream: MediaStream) => {
+  const handleParticipantJoined = useCallback(async (data: { user: Participant }, stream: MediaStream) => {
     console.log('New participant joined:', data.user.username)
     if (data.user.userId !== userId) {
-      createPeer(data.user.userId, data.user.username, data.user.socketId, stream)
+      const iceServers = await getIceServers()
+      createPeer(data.user.userId, data.user.username, data.user.socketId, stream, iceServers)
     }
-  }, [userId, createPeer])
+  }, [userId, createPeer, getIceServers])
 
   // Handle participant leaving
   const handleParticipantLeft = useCallback((data: { userId: string }) => {
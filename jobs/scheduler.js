@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Redis keys
+const JOB_LOCK_KEY = (name) => `lock:job:${name}`;
+
+// Extend a lock only while this process still holds it
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// Runs periodic background jobs. Several server processes can run the same
+// scheduler: on each tick a job only runs in the process holding its Redis lock.
+class Scheduler {
+  constructor(redisClient) {
+    this.redis = redisClient;
+    this.instanceId = crypto.randomUUID();
+    this.timers = [];
+    this.running = new Set();
+  }
+
+  every(name, intervalMs, task) {
+    const lockTtl = Math.floor(intervalMs * 0.9);
+
+    const run = async () => {
+      // Don't overlap with a previous run that is still going in this process
+      if (this.running.has(name)) return;
+
+      let renewal = null;
+
+      try {
+        const acquired = await this.redis.set(JOB_LOCK_KEY(name), this.instanceId, {
+          NX: true,
+          PX: lockTtl
+        });
+
+        if (!acquired) return;
+
+        this.running.add(name);
+
+        // A run can outlast the lock: keep renewing it so other processes
+        // don't start the same job until this run is done
+        renewal = setInterval(() => this.renewLock(name, lockTtl), Math.floor(lockTtl / 3));
+        renewal.unref();
+
+        await task();
+      } catch (error) {
+        logger.error(`Scheduled job ${name} failed:`, error);
+      } finally {
+        clearInterval(renewal);
+        this.running.delete(name);
+      }
+    };
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    this.timers.push(timer);
+
+    logger.info(`Scheduler: ${name} registered (every ${intervalMs}ms)`);
+    return this;
+  }
+
+  async renewLock(name, ttl) {
+    try {
+      const renewed = await this.redis.eval(RENEW_LOCK_SCRIPT, {
+        keys: [JOB_LOCK_KEY(name)],
+        arguments: [this.instanceId, String(ttl)]
+      });
+
+      if (!renewed) {
+        logger.error(`Scheduled job ${name} lost its lock`);
+      }
+    } catch (error) {
+      logger.error(`Renew lock of job ${name} error:`, error);
+    }
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+}
+
+module.exports = Scheduler;
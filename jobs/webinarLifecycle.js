@@ -0,0 +1,99 @@
+const Scheduler = require('./scheduler');
+const Webinar = require('../models/Webinar');
+const Quiz = require('../models/Quiz');
+const logger = require('../utils/logger');
+
+const LIFECYCLE_INTERVAL_MS = parseInt(process.env.LIFECYCLE_INTERVAL_MS) || 60 * 1000;
+const GRACE_MINUTES = parseInt(process.env.WEBINAR_GRACE_MINUTES) || 15;
+
+// Aggregation expression for "<start> + duration + grace", in milliseconds
+const endOfSlot = (startField) => ({
+  $add: [startField, { $multiply: [{ $add: ['$duration', GRACE_MINUTES] }, 60 * 1000] }]
+});
+
+// Scheduled webinars whose slot passed without the host ever starting them
+const markMissedWebinars = async (now) => {
+  const result = await Webinar.updateMany({
+    status: 'scheduled',
+    $expr: { $lte: [endOfSlot('$scheduledDate'), now] }
+  }, { $set: { status: 'missed' } });
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Lifecycle: marked ${result.modifiedCount} webinar(s) as missed`);
+  }
+};
+
+// Start webinars that opted into settings.autoStart once scheduledDate is reached
+const autoStartWebinars = async (now) => {
+  const webinars = await Webinar.find({
+    status: 'scheduled',
+    'settings.autoStart': true,
+    scheduledDate: { $lte: now }
+  });
+
+  for (const webinar of webinars) {
+    try {
+      await webinar.startWebinar();
+      logger.info(`Lifecycle: webinar auto-started: ${webinar.title}`);
+    } catch (error) {
+      logger.error(`Lifecycle: auto-start of webinar ${webinar._id} failed:`, error);
+    }
+  }
+};
+
+// End live webinars that ran past duration + grace, e.g. after the host closed the tab
+const autoEndWebinars = async (now, socketHandler) => {
+  const webinars = await Webinar.find({
+    status: 'live',
+    $expr: { $lte: [endOfSlot('$actualStartTime'), now] }
+  });
+
+  // One webinar that fails to end mustn't keep the others running
+  for (const webinar of webinars) {
+    try {
+      await webinar.endWebinar();
+      await socketHandler.closeRoom(webinar.roomId, 'Webinar exceeded its scheduled duration');
+      logger.info(`Lifecycle: webinar auto-ended: ${webinar.title}`);
+    } catch (error) {
+      logger.error(`Lifecycle: auto-end of webinar ${webinar._id} failed:`, error);
+    }
+  }
+};
+
+// Close timed quizzes whose in-process timer was lost, e.g. to a restart
+const closeExpiredQuizzes = async (now, socketHandler) => {
+  const quizzes = await Quiz.find({
+    status: 'live',
+    closesAt: { $lte: new Date(now.getTime() - 60 * 1000) }
+  }).populate('webinar', 'roomId');
+
+  for (const quiz of quizzes) {
+    try {
+      await socketHandler.closeQuiz(quiz.webinar.roomId, quiz);
+      logger.info(`Lifecycle: expired quiz closed: ${quiz.title}`);
+    } catch (error) {
+      logger.error(`Lifecycle: closing quiz ${quiz._id} failed:`, error);
+    }
+  }
+};
+
+const startWebinarLifecycle = (redisClient, socketHandler) => {
+  const scheduler = new Scheduler(redisClient);
+
+  scheduler.every('webinar-lifecycle', LIFECYCLE_INTERVAL_MS, async () => {
+    const now = new Date();
+
+    // Missed first, so a long-overdue autoStart webinar is not started late
+    await markMissedWebinars(now);
+    await autoStartWebinars(now);
+    await autoEndWebinars(now, socketHandler);
+    await closeExpiredQuizzes(now, socketHandler);
+
+    // Host grace periods whose in-process timer was lost, e.g. to a restart
+    await socketHandler.expireHostGraces();
+  });
+
+  return scheduler;
+};
+
+module.exports = startWebinarLifecycle;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A ban covers either the webinar the user was removed from, or every webinar of its host
+const BAN_SCOPES = ['webinar', 'host'];
+
+const banSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: BAN_SCOPES,
+    required: true
+  },
+  webinar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true // webinar the user was removed from
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+banSchema.index({ webinar: 1, user: 1 });
+banSchema.index({ host: 1, scope: 1, user: 1 });
+
+// Static methods
+const getHostId = (webinar) => webinar.host._id || webinar.host;
+
+// Bans of this webinar plus the host-wide bans of its host
+banSchema.statics.forWebinarQuery = function(webinar) {
+  return {
+    $or: [
+      { webinar: webinar._id },
+      { scope: 'host', host: getHostId(webinar) }
+    ]
+  };
+};
+
+// A ban that applies to the webinar, or null (also for malformed ids)
+banSchema.statics.findForWebinar = function(webinar, banId) {
+  if (!mongoose.isValidObjectId(banId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ _id: banId, ...this.forWebinarQuery(webinar) });
+};
+
+banSchema.statics.findActive = function(webinar, userId) {
+  return this.findOne({ ...this.forWebinarQuery(webinar), user: userId });
+};
+
+// Creates the ban, or widens/updates the user's existing ban for this webinar
+banSchema.statics.ban = function(webinar, userId, scope, bannedBy, reason) {
+  return this.findOneAndUpdate(
+    { webinar: webinar._id, user: userId },
+    { scope, host: getHostId(webinar), bannedBy, reason },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Ban', banSchema);
+module.exports.BAN_SCOPES = BAN_SCOPES;
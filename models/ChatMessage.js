@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const chatMessageSchema = new mongoose.Schema({
+  webinar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sender details at the time of sending, so transcripts survive profile changes
+  username: String,
+  firstName: String,
+  lastName: String,
+  role: {
+    type: String,
+    enum: ['host', 'cohost', 'presenter', 'attendee'],
+    default: 'attendee'
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId, // set for direct messages, null for room chat
+    ref: 'User',
+    default: null
+  },
+  recipientUsername: String,
+  breakout: {
+    type: String, // name of the breakout room it was sent in, null for the main room
+    default: null
+  },
+  pinnedAt: Date,
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletedAt: Date, // deleted for everyone by a moderator
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+chatMessageSchema.index({ webinar: 1, createdAt: -1 });
+chatMessageSchema.index({ roomId: 1, createdAt: -1 });
+chatMessageSchema.index({ roomId: 1, pinnedAt: 1 });
+chatMessageSchema.index({ webinar: 1, user: 1, recipient: 1, createdAt: -1 });
+chatMessageSchema.index({ webinar: 1, recipient: 1, createdAt: -1 });
+
+// Methods
+// Shape sent to socket clients and stored in the Redis cache
+chatMessageSchema.methods.toPayload = function() {
+  return {
+    id: this._id.toString(),
+    userId: this.user._id.toString(),
+    username: this.username,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    message: this.message,
+    timestamp: this.createdAt,
+    role: this.role,
+    pinned: Boolean(this.pinnedAt),
+    ...(this.breakout && { breakout: this.breakout }),
+    ...(this.recipient && {
+      recipientId: this.recipient._id.toString(),
+      recipientUsername: this.recipientUsername,
+      private: true
+    })
+  };
+};
+
+chatMessageSchema.methods.softDelete = function(moderatorId) {
+  this.deletedAt = new Date();
+  this.deletedBy = moderatorId;
+  this.pinnedAt = undefined;
+  this.pinnedBy = undefined;
+  return this.save();
+};
+
+chatMessageSchema.methods.setPinned = function(pinned, moderatorId) {
+  this.pinnedAt = pinned ? new Date() : undefined;
+  this.pinnedBy = pinned ? moderatorId : undefined;
+  return this.save();
+};
+
+// Static methods
+// A room message of the webinar that hasn't been deleted, or null (also for malformed ids)
+chatMessageSchema.statics.findVisible = function(webinarId, messageId) {
+  if (!mongoose.isValidObjectId(messageId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ _id: messageId, webinar: webinarId, recipient: null, deletedAt: null });
+};
+
+chatMessageSchema.statics.findPinned = function(roomId) {
+  return this.find({ roomId, recipient: null, pinnedAt: { $ne: null }, deletedAt: null }).sort({ createdAt: 1 });
+};
+
+// Page of messages older than `before` (newest first), for infinite scrolling
+chatMessageSchema.statics.findPage = function(webinarId, { before, limit = 50 } = {}) {
+  const query = { webinar: webinarId, recipient: null, breakout: null, deletedAt: null };
+
+  if (before) {
+    query.createdAt = { $lt: before };
+  }
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+// Page of direct messages sent or received by a user (newest first),
+// optionally limited to the conversation with one other user
+chatMessageSchema.statics.findDirectPage = function(webinarId, userId, { withUserId, before, limit = 50 } = {}) {
+  const query = {
+    webinar: webinarId,
+    recipient: { $ne: null },
+    deletedAt: null
+  };
+
+  query.$or = withUserId
+    ? [{ user: userId, recipient: withUserId }, { user: withUserId, recipient: userId }]
+    : [{ user: userId }, { recipient: userId }];
+
+  if (before) {
+    query.createdAt = { $lt: before };
+  }
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const invitationSchema = new mongoose.Schema({
+  webinar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['user', 'email', 'link'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId, // invited user (type: user)
+    ref: 'User'
+  },
+  email: {
+    type: String, // invited address (type: email)
+    lowercase: true,
+    trim: true
+  },
+  token: {
+    type: String // secret for invite links and emailed invitations
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: Date, // last moment the token can be redeemed
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  redeemedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+invitationSchema.index({ webinar: 1, createdAt: -1 });
+invitationSchema.index({ token: 1 }, { unique: true, sparse: true });
+invitationSchema.index({ user: 1 });
+invitationSchema.index({ email: 1 });
+invitationSchema.index({ redeemedBy: 1 });
+
+// Invitations that grant access to a given user. Account emails aren't verified,
+// so an email invitation only counts once its emailed token has been redeemed.
+// Expiry only limits redeeming a token; access already granted lasts until the
+// invitation is revoked.
+const accessQuery = (userId) => ({
+  revokedAt: null,
+  $or: [
+    { user: userId },
+    { redeemedBy: userId }
+  ]
+});
+
+invitationSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Static methods
+invitationSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+invitationSchema.statics.hasAccess = async function(webinarId, userId) {
+  const invitation = await this.exists({ webinar: webinarId, ...accessQuery(userId) });
+  return Boolean(invitation);
+};
+
+invitationSchema.statics.findWebinarIdsFor = function(userId) {
+  return this.find(accessQuery(userId)).distinct('webinar');
+};
+
+// Redeem an invite token for a user, optionally only for a given webinar. Returns
+// the invitation, or null if the token is unknown, revoked, expired or used up.
+invitationSchema.statics.redeem = async function(token, userId, webinarId) {
+  const active = {
+    token,
+    revokedAt: null,
+    ...(webinarId && { webinar: webinarId })
+  };
+
+  // Already redeemed by this user: doesn't count as another use
+  const redeemed = await this.findOne({ ...active, redeemedBy: userId });
+  if (redeemed) {
+    return redeemed;
+  }
+
+  return this.findOneAndUpdate({
+    ...active,
+    $and: [
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+      { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+    ]
+  }, {
+    $inc: { uses: 1 },
+    $addToSet: { redeemedBy: userId }
+  }, { new: true });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const joinRequestSchema = new mongoose.Schema({
+  webinar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  message: {
+    type: String, // optional note from the requester
+    maxlength: 500
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reason: {
+    type: String, // optional note from the reviewer
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+joinRequestSchema.index({ webinar: 1, user: 1 }, { unique: true });
+joinRequestSchema.index({ webinar: 1, status: 1, createdAt: 1 });
+
+// Methods
+joinRequestSchema.methods.review = function(status, reviewerId, reason) {
+  this.status = status;
+  this.reviewedBy = reviewerId;
+  this.reviewedAt = new Date();
+  this.reason = reason;
+  return this.save();
+};
+
+// Static methods
+// Returns the user's existing request (whatever its state) or creates a pending one
+joinRequestSchema.statics.findOrCreate = async function(webinarId, userId, message) {
+  const existing = await this.findOne({ webinar: webinarId, user: userId });
+
+  if (existing) {
+    return { request: existing, created: false };
+  }
+
+  const request = await this.create({ webinar: webinarId, user: userId, message });
+  return { request, created: true };
+};
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
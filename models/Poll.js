@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+const MAX_POLL_OPTIONS = 10;
+
+const pollSchema = new mongoose.Schema({
+  webinar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  type: {
+    type: String,
+    enum: ['single', 'multiple'],
+    default: 'single'
+  },
+  options: {
+    type: [{
+      text: { type: String, required: true, trim: true, maxlength: 200 }
+    }],
+    validate: {
+      validator: (options) => options.length >= 2 && options.length <= MAX_POLL_OPTIONS,
+      message: `A poll needs between 2 and ${MAX_POLL_OPTIONS} options`
+    }
+  },
+  hideResultsUntilClosed: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'live', 'closed'],
+    default: 'draft'
+  },
+  launchedAt: Date,
+  closedAt: Date,
+  votes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    options: [mongoose.Schema.Types.ObjectId],
+    votedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+pollSchema.index({ webinar: 1, status: 1, createdAt: 1 });
+
+// Methods
+pollSchema.methods.getResults = function() {
+  const counts = new Map(this.options.map(option => [option._id.toString(), 0]));
+
+  this.votes.forEach(vote => {
+    vote.options.forEach(optionId => {
+      const key = optionId.toString();
+      if (counts.has(key)) {
+        counts.set(key, counts.get(key) + 1);
+      }
+    });
+  });
+
+  const totalVotes = this.votes.length;
+
+  return {
+    totalVotes,
+    options: this.options.map(option => {
+      const votes = counts.get(option._id.toString());
+      return {
+        id: option._id.toString(),
+        text: option.text,
+        votes,
+        percentage: totalVotes ? Math.round((votes / totalVotes) * 100) : 0
+      };
+    })
+  };
+};
+
+pollSchema.methods.areResultsVisible = function() {
+  return this.status === 'closed' || (this.status === 'live' && !this.hideResultsUntilClosed);
+};
+
+pollSchema.methods.getVote = function(userId) {
+  return this.votes.find(vote => vote.user._id.toString() === userId.toString());
+};
+
+// Shape sent to clients. Results are included when the poll shows them, or
+// always for hosts (`includeResults`); `viewerId` adds the viewer's own vote.
+pollSchema.methods.toPayload = function({ viewerId, includeResults = false } = {}) {
+  const vote = viewerId && this.getVote(viewerId);
+
+  return {
+    id: this._id.toString(),
+    question: this.question,
+    type: this.type,
+    options: this.options.map(option => ({ id: option._id.toString(), text: option.text })),
+    hideResultsUntilClosed: this.hideResultsUntilClosed,
+    status: this.status,
+    launchedAt: this.launchedAt,
+    closedAt: this.closedAt,
+    ...(viewerId && {
+      myVote: vote ? vote.options.map(id => id.toString()) : null
+    }),
+    ...((includeResults || this.areResultsVisible()) && {
+      results: this.getResults()
+    })
+  };
+};
+
+pollSchema.methods.launch = function() {
+  this.status = 'live';
+  this.launchedAt = new Date();
+  return this.save();
+};
+
+pollSchema.methods.close = function() {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  return this.save();
+};
+
+// Static methods
+// A poll of the webinar, or null (also for malformed ids)
+pollSchema.statics.findForWebinar = function(webinarId, pollId) {
+  if (!mongoose.isValidObjectId(pollId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ _id: pollId, webinar: webinarId });
+};
+
+// Record a vote if the poll is live and the user hasn't voted yet; returns
+// the updated poll, or null if the vote was not accepted
+pollSchema.statics.vote = function(pollId, userId, optionIds) {
+  return this.findOneAndUpdate({
+    _id: pollId,
+    status: 'live',
+    'votes.user': { $ne: userId }
+  }, {
+    $push: { votes: { user: userId, options: optionIds } }
+  }, { new: true });
+};
+
+module.exports = mongoose.model('Poll', pollSchema);
+module.exports.MAX_POLL_OPTIONS = MAX_POLL_OPTIONS;
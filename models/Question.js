@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  webinar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Asker details at the time of asking; never sent to clients for anonymous questions
+  username: String,
+  firstName: String,
+  lastName: String,
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'answered', 'dismissed'],
+    default: 'open'
+  },
+  answer: {
+    text: { type: String, maxlength: 2000 }, // empty when answered live
+    answeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    answeredAt: Date
+  },
+  highlightedAt: Date // currently shown on screen (one question per webinar)
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+questionSchema.index({ webinar: 1, status: 1, upvoteCount: -1, createdAt: 1 });
+
+// Methods
+// Shape sent to clients; anonymous askers are hidden from everyone but themselves.
+// Room broadcasts pass no viewer and leave out hasUpvoted.
+questionSchema.methods.toPayload = function(viewerId) {
+  const isOwn = Boolean(viewerId) && this.user._id.toString() === viewerId.toString();
+  const showAuthor = !this.isAnonymous || isOwn;
+
+  return {
+    id: this._id.toString(),
+    text: this.text,
+    isAnonymous: this.isAnonymous,
+    userId: showAuthor ? this.user._id.toString() : null,
+    username: showAuthor ? this.username : null,
+    firstName: showAuthor ? this.firstName : null,
+    lastName: showAuthor ? this.lastName : null,
+    upvoteCount: this.upvoteCount,
+    ...(viewerId && {
+      hasUpvoted: this.upvotes.some(id => id.toString() === viewerId.toString())
+    }),
+    status: this.status,
+    answer: this.answer && this.answer.answeredAt ? {
+      text: this.answer.text || null,
+      answeredBy: this.answer.answeredBy,
+      answeredAt: this.answer.answeredAt,
+      answeredLive: !this.answer.text
+    } : null,
+    highlighted: Boolean(this.highlightedAt),
+    createdAt: this.createdAt
+  };
+};
+
+questionSchema.methods.markAnswered = function(answeredBy, text) {
+  this.status = 'answered';
+  this.answer = { text, answeredBy, answeredAt: new Date() };
+  this.highlightedAt = undefined;
+  return this.save();
+};
+
+questionSchema.methods.dismiss = function() {
+  this.status = 'dismissed';
+  this.highlightedAt = undefined;
+  return this.save();
+};
+
+// Static methods
+// A question of the webinar, or null (also for malformed ids)
+questionSchema.statics.findForWebinar = function(webinarId, questionId) {
+  if (!mongoose.isValidObjectId(questionId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ _id: questionId, webinar: webinarId });
+};
+
+// Questions sorted by votes, oldest first among equals
+questionSchema.statics.findSorted = function(webinarId, status) {
+  const query = { webinar: webinarId };
+
+  if (status) {
+    query.status = status;
+  }
+
+  return this.find(query).sort({ upvoteCount: -1, createdAt: 1 });
+};
+
+// Add or remove a user's upvote atomically; returns null if nothing changed
+// (also for questions of another webinar)
+questionSchema.statics.setUpvote = function(webinarId, questionId, userId, upvote) {
+  if (!mongoose.isValidObjectId(questionId)) {
+    return Promise.resolve(null);
+  }
+
+  const filter = upvote
+    ? { _id: questionId, webinar: webinarId, status: 'open', upvotes: { $ne: userId } }
+    : { _id: questionId, webinar: webinarId, status: 'open', upvotes: userId };
+
+  const update = upvote
+    ? { $push: { upvotes: userId }, $inc: { upvoteCount: 1 } }
+    : { $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } };
+
+  return this.findOneAndUpdate(filter, update, { new: true });
+};
+
+// Put one question on screen, taking any other one down. Returns false, and
+// leaves the current highlight alone, if the question isn't open.
+questionSchema.statics.highlight = async function(webinarId, questionId) {
+  if (questionId) {
+    const question = await this.findForWebinar(webinarId, questionId);
+    if (!question || question.status !== 'open') {
+      return false;
+    }
+  }
+
+  await this.updateMany(
+    { webinar: webinarId, highlightedAt: { $ne: null } },
+    { $unset: { highlightedAt: 1 } }
+  );
+
+  if (!questionId) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: questionId, webinar: webinarId, status: 'open' },
+    { $set: { highlightedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Question', questionSchema);
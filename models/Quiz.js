@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+
+const MAX_QUIZ_QUESTIONS = 50;
+const MAX_QUESTION_OPTIONS = 10;
+
+// Submissions arriving this long after the time limit still count (network latency)
+const SUBMISSION_GRACE_MS = 5 * 1000;
+
+const quizQuestionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  type: {
+    type: String,
+    enum: ['single', 'multiple'],
+    default: 'single'
+  },
+  options: {
+    type: [{
+      text: { type: String, required: true, trim: true, maxlength: 200 }
+    }],
+    validate: {
+      validator: (options) => options.length >= 2 && options.length <= MAX_QUESTION_OPTIONS,
+      message: `A question needs between 2 and ${MAX_QUESTION_OPTIONS} options`
+    }
+  },
+  correctOptions: [mongoose.Schema.Types.ObjectId],
+  points: {
+    type: Number,
+    default: 1,
+    min: 0,
+    max: 100
+  }
+});
+
+const quizSchema = new mongoose.Schema({
+  webinar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  questions: {
+    type: [quizQuestionSchema],
+    validate: {
+      validator: (questions) => questions.length >= 1 && questions.length <= MAX_QUIZ_QUESTIONS,
+      message: `A quiz needs between 1 and ${MAX_QUIZ_QUESTIONS} questions`
+    }
+  },
+  timeLimit: {
+    type: Number, // in seconds, none when empty
+    min: 10,
+    max: 3 * 60 * 60
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'live', 'closed'],
+    default: 'draft'
+  },
+  launchedAt: Date,
+  closesAt: Date, // launchedAt + timeLimit
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+quizSchema.index({ webinar: 1, status: 1, createdAt: 1 });
+
+// Methods
+quizSchema.methods.getMaxScore = function() {
+  return this.questions.reduce((total, question) => total + question.points, 0);
+};
+
+quizSchema.methods.isAcceptingSubmissions = function() {
+  if (this.status !== 'live') {
+    return false;
+  }
+
+  return !this.closesAt || Date.now() <= this.closesAt.getTime() + SUBMISSION_GRACE_MS;
+};
+
+// Score answers given as [{ questionId, optionIds }]. A question earns its points
+// only when exactly the correct options are selected.
+quizSchema.methods.grade = function(answers = []) {
+  const given = new Map(answers.map(answer => [String(answer.questionId), answer.optionIds || []]));
+
+  const graded = this.questions.map(question => {
+    const validIds = question.options.map(option => option._id.toString());
+    const selected = [...new Set((given.get(question._id.toString()) || []).map(String))]
+      .filter(id => validIds.includes(id));
+    const correct = question.correctOptions.map(id => id.toString());
+
+    const isCorrect = selected.length === correct.length &&
+      selected.every(id => correct.includes(id));
+
+    return {
+      question: question._id,
+      options: selected,
+      isCorrect,
+      points: isCorrect ? question.points : 0
+    };
+  });
+
+  return {
+    answers: graded,
+    score: graded.reduce((total, answer) => total + answer.points, 0),
+    maxScore: this.getMaxScore()
+  };
+};
+
+// Shape sent to clients; correct answers are only revealed once the quiz is
+// closed, or always to hosts (`includeAnswers`)
+quizSchema.methods.toPayload = function({ includeAnswers = false } = {}) {
+  const revealAnswers = includeAnswers || this.status === 'closed';
+
+  return {
+    id: this._id.toString(),
+    title: this.title,
+    timeLimit: this.timeLimit || null,
+    status: this.status,
+    launchedAt: this.launchedAt,
+    closesAt: this.closesAt,
+    closedAt: this.closedAt,
+    maxScore: this.getMaxScore(),
+    questions: this.questions.map(question => ({
+      id: question._id.toString(),
+      text: question.text,
+      type: question.type,
+      points: question.points,
+      options: question.options.map(option => ({ id: option._id.toString(), text: option.text })),
+      ...(revealAnswers && {
+        correctOptions: question.correctOptions.map(id => id.toString())
+      })
+    }))
+  };
+};
+
+quizSchema.methods.launch = function() {
+  this.status = 'live';
+  this.launchedAt = new Date();
+  this.closesAt = this.timeLimit ? new Date(this.launchedAt.getTime() + this.timeLimit * 1000) : undefined;
+  return this.save();
+};
+
+quizSchema.methods.close = function() {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  return this.save();
+};
+
+// Static methods
+// A quiz of the webinar, or null (also for malformed ids)
+quizSchema.statics.findForWebinar = function(webinarId, quizId) {
+  if (!mongoose.isValidObjectId(quizId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ _id: quizId, webinar: webinarId });
+};
+
+// Build questions from option texts and indexes of the correct options
+quizSchema.statics.buildQuestions = function(questions) {
+  return questions.map(({ options, correctOptions, ...question }) => {
+    const built = options.map(text => ({ _id: new mongoose.Types.ObjectId(), text }));
+
+    return {
+      ...question,
+      options: built,
+      correctOptions: correctOptions.map(index => built[index]._id)
+    };
+  });
+};
+
+module.exports = mongoose.model('Quiz', quizSchema);
+module.exports.MAX_QUIZ_QUESTIONS = MAX_QUIZ_QUESTIONS;
+module.exports.MAX_QUESTION_OPTIONS = MAX_QUESTION_OPTIONS;
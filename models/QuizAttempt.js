@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const quizAttemptSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  webinar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  answers: [{
+    question: mongoose.Schema.Types.ObjectId,
+    options: [mongoose.Schema.Types.ObjectId],
+    isCorrect: Boolean,
+    points: Number
+  }],
+  score: {
+    type: Number,
+    required: true
+  },
+  maxScore: {
+    type: Number,
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+quizAttemptSchema.index({ quiz: 1, user: 1 }, { unique: true }); // one attempt per student
+quizAttemptSchema.index({ webinar: 1, user: 1 });
+quizAttemptSchema.index({ user: 1, submittedAt: -1 });
+
+// Static methods
+// Scores per webinar for one student: { [webinarId]: { score, maxScore, quizzes: [...] } }
+quizAttemptSchema.statics.getScoresByWebinar = async function(userId, webinarIds) {
+  const attempts = await this.find({ user: userId, webinar: { $in: webinarIds } })
+    .populate('quiz', 'title')
+    .sort({ submittedAt: 1 });
+
+  const scores = {};
+
+  attempts.forEach(attempt => {
+    const key = attempt.webinar.toString();
+    scores[key] = scores[key] || { score: 0, maxScore: 0, quizzes: [] };
+
+    scores[key].score += attempt.score;
+    scores[key].maxScore += attempt.maxScore;
+    scores[key].quizzes.push({
+      quizId: attempt.quiz ? attempt.quiz._id : null,
+      title: attempt.quiz ? attempt.quiz.title : null,
+      score: attempt.score,
+      maxScore: attempt.maxScore,
+      submittedAt: attempt.submittedAt
+    });
+  });
+
+  return scores;
+};
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
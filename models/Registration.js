@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Webinar = require('./Webinar');
+
+const registrationSchema = new mongoose.Schema({
+  webinar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webinar',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['confirmed', 'waitlisted', 'cancelled'],
+    required: true
+  },
+  registeredAt: {
+    type: Date, // waitlist order
+    default: Date.now
+  },
+  confirmedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+registrationSchema.index({ webinar: 1, user: 1 }, { unique: true });
+registrationSchema.index({ webinar: 1, status: 1, registeredAt: 1 });
+registrationSchema.index({ user: 1, status: 1 });
+
+// Atomically take a confirmed seat if the webinar still has capacity
+const claimSeat = (webinarId) => {
+  return Webinar.findOneAndUpdate({
+    _id: webinarId,
+    $expr: { $lt: ['$registeredCount', '$maxParticipants'] }
+  }, { $inc: { registeredCount: 1 } });
+};
+
+const releaseSeat = (webinarId) => {
+  return Webinar.updateOne({ _id: webinarId }, { $inc: { registeredCount: -1 } });
+};
+
+// Methods
+registrationSchema.methods.getWaitlistPosition = async function() {
+  if (this.status !== 'waitlisted') {
+    return null;
+  }
+
+  const ahead = await this.constructor.countDocuments({
+    webinar: this.webinar,
+    status: 'waitlisted',
+    registeredAt: { $lt: this.registeredAt }
+  });
+
+  return ahead + 1;
+};
+
+registrationSchema.methods.cancel = async function() {
+  const wasConfirmed = this.status === 'confirmed';
+
+  this.status = 'cancelled';
+  this.cancelledAt = new Date();
+  await this.save();
+
+  if (wasConfirmed) {
+    await releaseSeat(this.webinar);
+  }
+
+  return this;
+};
+
+// Static methods
+registrationSchema.statics.register = async function(webinarId, userId) {
+  let registration = await this.findOne({ webinar: webinarId, user: userId });
+
+  if (registration && registration.status !== 'cancelled') {
+    return registration;
+  }
+
+  const seat = await claimSeat(webinarId);
+
+  if (!registration) {
+    registration = new this({ webinar: webinarId, user: userId });
+  }
+
+  registration.status = seat ? 'confirmed' : 'waitlisted';
+  registration.registeredAt = new Date();
+  registration.confirmedAt = seat ? new Date() : undefined;
+  registration.cancelledAt = undefined;
+
+  try {
+    await registration.save();
+  } catch (error) {
+    // Don't leak the seat if a concurrent request registered the same user
+    if (seat) {
+      await releaseSeat(webinarId);
+    }
+    throw error;
+  }
+
+  return registration;
+};
+
+// Move waitlisted users into free seats, oldest first
+registrationSchema.statics.promoteWaitlist = async function(webinarId) {
+  const promoted = [];
+
+  for (;;) {
+    const next = await this.findOne({ webinar: webinarId, status: 'waitlisted' })
+      .sort({ registeredAt: 1 });
+
+    if (!next || !(await claimSeat(webinarId))) {
+      break;
+    }
+
+    // Another process may have promoted or cancelled the same registration
+    const registration = await this.findOneAndUpdate(
+      { _id: next._id, status: 'waitlisted' },
+      { $set: { status: 'confirmed', confirmedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!registration) {
+      await releaseSeat(webinarId);
+      continue;
+    }
+
+    promoted.push(registration);
+  }
+
+  return promoted;
+};
+
+registrationSchema.statics.isConfirmed = async function(webinarId, userId) {
+  const registration = await this.exists({
+    webinar: webinarId,
+    user: userId,
+    status: 'confirmed'
+  });
+
+  return Boolean(registration);
+};
+
+// Whether the webinar has a seat for a user joining while `presentUserIds` are
+// in the room. Confirmed registrants use their reserved seat; everyone else
+// only gets the seats that no registrant holds, present or not.
+registrationSchema.statics.hasSeatFor = async function(webinar, userId, isRegistered, presentUserIds) {
+  const others = [...new Set(presentUserIds.map(id => id.toString()))]
+    .filter(id => id !== userId.toString());
+
+  const presentRegistrants = await this.countDocuments({
+    webinar: webinar._id,
+    user: { $in: others },
+    status: 'confirmed'
+  });
+
+  if (isRegistered) {
+    return presentRegistrants < webinar.maxParticipants;
+  }
+
+  const walkIns = others.length - presentRegistrants;
+  return walkIns + webinar.registeredCount < webinar.maxParticipants;
+};
+
+module.exports = mongoose.model('Registration', registrationSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -61,6 +62,10 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: 'UTC'
     }
+  },
+  calendarToken: {
+    type: String, // secret for the subscribable calendar feed
+    select: false
   }
 }, {
   timestamps: true
@@ -70,6 +75,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -89,6 +95,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate a new calendar feed token, revoking the previous one
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 // Get full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -98,6 +110,7 @@ userSchema.virtual('fullName').get(function() {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.calendarToken;
   return user;
 };
 
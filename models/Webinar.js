@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PERMISSIONS, ROLE_PERMISSIONS, ASSIGNABLE_ROLES, ROLE_RANKS } = require('../utils/permissions');
 
 const webinarSchema = new mongoose.Schema({
   title: {
@@ -29,7 +30,7 @@ const webinarSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['scheduled', 'live', 'ended', 'cancelled'],
+    enum: ['scheduled', 'live', 'ended', 'cancelled', 'missed'],
     default: 'scheduled'
   },
   roomId: {
@@ -43,13 +44,27 @@ const webinarSchema = new mongoose.Schema({
     min: 2,
     max: 1000
   },
+  registeredCount: {
+    type: Number, // confirmed registrations, see Registration model
+    default: 0
+  },
   settings: {
     allowChat: { type: Boolean, default: true },
+    allowPrivateChat: { type: Boolean, default: false }, // attendee-to-attendee direct messages
     allowReactions: { type: Boolean, default: true },
+    allowQuestions: { type: Boolean, default: true },
+    allowAnonymousQuestions: { type: Boolean, default: true },
     allowScreenShare: { type: Boolean, default: false }, // only host by default
     allowRecording: { type: Boolean, default: true },
     waitingRoom: { type: Boolean, default: false },
-    requireApproval: { type: Boolean, default: false }
+    requireApproval: { type: Boolean, default: false },
+    autoStart: { type: Boolean, default: false }, // started by the lifecycle scheduler at scheduledDate
+    registrationRequired: { type: Boolean, default: false }, // only registered students can enter the room
+    lobbyMessage: { type: String, default: '', maxlength: 500 }, // shown to attendees in the waiting room
+    hostReconnectGrace: { type: Number, default: 120, min: 0, max: 1800 }, // seconds to wait for a disconnected host
+    autoTransferHost: { type: Boolean, default: true }, // then hand host controls to a co-host in the room
+    autoEndWithoutHost: { type: Boolean, default: false }, // or end the webinar if no one could take over
+    blockedWords: [{ type: String, trim: true, lowercase: true, maxlength: 50 }] // chat messages containing these are rejected
   },
   participants: [{
     user: {
@@ -61,8 +76,29 @@ const webinarSchema = new mongoose.Schema({
     duration: Number, // in seconds
     role: {
       type: String,
-      enum: ['host', 'presenter', 'attendee'],
+      enum: ['host', 'cohost', 'presenter', 'attendee'],
       default: 'attendee'
+    },
+    handRaises: { type: Number, default: 0 }
+  }],
+  roles: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ASSIGNABLE_ROLES,
+      required: true
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
   recording: {
@@ -73,11 +109,62 @@ const webinarSchema = new mongoose.Schema({
   },
   actualStartTime: Date,
   actualEndTime: Date,
+  activeHost: {
+    type: mongoose.Schema.Types.ObjectId, // set while host controls are handed over to someone else
+    ref: 'User',
+    default: null
+  },
+  analytics: {
+    handRaises: { type: Number, default: 0 },
+    handsCalled: { type: Number, default: 0 }
+  },
   tags: [String],
   isPublic: {
     type: Boolean,
     default: true
-  }
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebinarSeries',
+    default: null
+  },
+  occurrenceDate: Date, // originally generated date within the series (RECURRENCE-ID)
+  isException: {
+    type: Boolean, // occurrence was edited individually and no longer follows the series
+    default: false
+  },
+  sequence: {
+    type: Number, // iCalendar SEQUENCE, bumped when calendar-visible fields change
+    default: 0
+  },
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['rescheduled', 'cancelled'],
+      required: true
+    },
+    previousScheduledDate: Date,
+    previousDuration: Number,
+    scheduledDate: Date,
+    duration: Number,
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -88,6 +175,8 @@ webinarSchema.index({ status: 1, scheduledDate: -1 });
 webinarSchema.index({ roomId: 1 }, { unique: true });
 webinarSchema.index({ scheduledDate: 1 });
 webinarSchema.index({ tags: 1 });
+webinarSchema.index({ series: 1, occurrenceDate: 1 });
+webinarSchema.index({ 'roles.user': 1 });
 
 // Virtual for computed fields
 webinarSchema.virtual('isLive').get(function() {
@@ -98,6 +187,23 @@ webinarSchema.virtual('participantCount').get(function() {
   return this.participants.filter(p => !p.leftAt).length;
 });
 
+// Fields that calendar subscribers see
+const CALENDAR_FIELDS = ['title', 'description', 'scheduledDate', 'duration'];
+
+// Bump the calendar sequence so subscribed clients pick up the change
+webinarSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+
+  const rescheduled = CALENDAR_FIELDS.some(field => this.isModified(field));
+  const cancelled = this.isModified('status') && this.status === 'cancelled';
+
+  if (rescheduled || cancelled) {
+    this.sequence += 1;
+  }
+
+  next();
+});
+
 // Methods
 webinarSchema.methods.addParticipant = function(userId, role = 'attendee') {
   const existingParticipant = this.participants.find(p => 
@@ -131,6 +237,173 @@ webinarSchema.methods.removeParticipant = function(userId) {
   return participant;
 };
 
+// Role of a user in this webinar: host, cohost, presenter or attendee
+webinarSchema.methods.getUserRole = function(userId) {
+  const activeHostId = this.getActiveHostId();
+
+  if (activeHostId === userId.toString()) {
+    return 'host';
+  }
+
+  // The owner of a webinar handed over to someone else co-hosts until it's handed back
+  if (this.host._id.toString() === userId.toString()) {
+    return 'cohost';
+  }
+
+  const assigned = this.roles.find(r => r.user._id.toString() === userId.toString());
+  return assigned ? assigned.role : 'attendee';
+};
+
+webinarSchema.methods.can = function(userId, permission) {
+  const role = this.getUserRole(userId);
+
+  if (ROLE_PERMISSIONS[role].includes(permission)) {
+    return true;
+  }
+
+  // Settings can open screen sharing up to every attendee
+  return permission === PERMISSIONS.SCREEN_SHARE && this.settings.allowScreenShare;
+};
+
+// Whether a user's role is above another user's role
+webinarSchema.methods.outranks = function(userId, otherUserId) {
+  return ROLE_RANKS.indexOf(this.getUserRole(userId)) > ROLE_RANKS.indexOf(this.getUserRole(otherUserId));
+};
+
+// The owner and whoever holds host controls can't be removed from the room
+webinarSchema.methods.isHostUser = function(userId) {
+  return [this.host._id.toString(), this.getActiveHostId()].includes(userId.toString());
+};
+
+// Permission summary sent to clients
+webinarSchema.methods.getPermissions = function(userId) {
+  return {
+    canPresent: this.can(userId, PERMISSIONS.PRESENT),
+    canSchedule: this.can(userId, PERMISSIONS.SCHEDULE),
+    canShareScreen: this.can(userId, PERMISSIONS.SCREEN_SHARE),
+    canModerate: this.can(userId, PERMISSIONS.MUTE),
+    canManageLobby: this.can(userId, PERMISSIONS.MANAGE_LOBBY),
+    canModerateChat: this.can(userId, PERMISSIONS.MODERATE_CHAT),
+    canManageQuestions: this.can(userId, PERMISSIONS.MANAGE_QA),
+    canManagePolls: this.can(userId, PERMISSIONS.MANAGE_POLLS),
+    canManageQuizzes: this.can(userId, PERMISSIONS.MANAGE_QUIZZES),
+    canManageHands: this.can(userId, PERMISSIONS.MANAGE_HANDS),
+    canManageBreakouts: this.can(userId, PERMISSIONS.MANAGE_BREAKOUTS),
+    canManageStage: this.can(userId, PERMISSIONS.MANAGE_STAGE),
+    canAssignRoles: this.can(userId, PERMISSIONS.ASSIGN_ROLES),
+    canChat: this.settings.allowChat,
+    canReact: this.settings.allowReactions,
+    canAskQuestions: this.settings.allowQuestions
+  };
+};
+
+// User holding host controls: the owner, unless the live session was handed over
+webinarSchema.methods.getActiveHostId = function() {
+  return (this.activeHost || this.host._id).toString();
+};
+
+// Users who receive host notifications (host and co-hosts)
+webinarSchema.methods.getHostUserIds = function() {
+  return [
+    this.host._id.toString(),
+    ...(this.activeHost ? [this.activeHost.toString()] : []),
+    ...this.roles
+      .filter(r => r.role === 'cohost')
+      .map(r => r.user._id.toString())
+  ];
+};
+
+// Users whose calendars this webinar occupies: host, co-hosts and presenters
+webinarSchema.methods.getStaffUserIds = function() {
+  return [
+    this.host._id.toString(),
+    ...this.roles.map(r => r.user._id.toString())
+  ];
+};
+
+webinarSchema.methods.getTimeWindow = function() {
+  return {
+    start: this.scheduledDate,
+    end: new Date(this.scheduledDate.getTime() + this.duration * 60 * 1000)
+  };
+};
+
+webinarSchema.methods.assignRole = function(userId, role, assignedBy) {
+  const existing = this.roles.find(r => r.user._id.toString() === userId.toString());
+
+  if (existing) {
+    existing.role = role;
+    existing.assignedBy = assignedBy;
+    existing.assignedAt = new Date();
+    return existing;
+  }
+
+  this.roles.push({ user: userId, role, assignedBy });
+  return this.roles[this.roles.length - 1];
+};
+
+webinarSchema.methods.unassignRole = function(userId) {
+  this.roles = this.roles.filter(r => r.user._id.toString() !== userId.toString());
+};
+
+// Whether a user may see (and try to join) this webinar: staff, public
+// webinars, students with an assigned role and invited students
+webinarSchema.methods.isVisibleTo = async function(user) {
+  const userId = user._id || user.id;
+
+  if (user.role !== 'student' || this.isPublic || this.getUserRole(userId) !== 'attendee') {
+    return true;
+  }
+
+  return mongoose.model('Invitation').hasAccess(this._id, userId);
+};
+
+// Move the webinar to a new date and/or duration, recording the previous
+// values in the change history. Returns false if nothing changed.
+webinarSchema.methods.reschedule = function({ scheduledDate, duration }, changedBy, reason) {
+  const newDate = scheduledDate ? new Date(scheduledDate) : this.scheduledDate;
+  const newDuration = duration || this.duration;
+
+  if (newDate.getTime() === this.scheduledDate.getTime() && newDuration === this.duration) {
+    return false;
+  }
+
+  this.history.push({
+    action: 'rescheduled',
+    previousScheduledDate: this.scheduledDate,
+    previousDuration: this.duration,
+    scheduledDate: newDate,
+    duration: newDuration,
+    reason,
+    changedBy
+  });
+
+  this.scheduledDate = newDate;
+  this.duration = newDuration;
+
+  // A missed webinar gets another chance at its new date
+  if (this.status === 'missed') {
+    this.status = 'scheduled';
+  }
+
+  return true;
+};
+
+webinarSchema.methods.cancel = function(cancelledBy, reason) {
+  this.status = 'cancelled';
+  this.cancellation = { reason, cancelledBy, cancelledAt: new Date() };
+
+  this.history.push({
+    action: 'cancelled',
+    previousScheduledDate: this.scheduledDate,
+    previousDuration: this.duration,
+    reason,
+    changedBy: cancelledBy
+  });
+
+  return this.save();
+};
+
 webinarSchema.methods.startWebinar = function() {
   this.status = 'live';
   this.actualStartTime = new Date();
@@ -140,6 +413,7 @@ webinarSchema.methods.startWebinar = function() {
 webinarSchema.methods.endWebinar = function() {
   this.status = 'ended';
   this.actualEndTime = new Date();
+  this.activeHost = null;
   
   // Update duration for active participants
   this.participants.forEach(participant => {
@@ -157,6 +431,40 @@ webinarSchema.statics.findLiveWebinars = function() {
   return this.find({ status: 'live' }).populate('host', 'username firstName lastName');
 };
 
+// Scheduled or live webinars staffed by any of the users (as host, co-host or
+// presenter) whose scheduled time overlaps one of the { start, end } windows
+webinarSchema.statics.findConflicts = function(userIds, windows, excludeIds = []) {
+  const scheduledEnd = { $add: ['$scheduledDate', { $multiply: ['$duration', 60 * 1000] }] };
+
+  return this.find({
+    _id: { $nin: excludeIds },
+    status: { $in: ['scheduled', 'live'] },
+    $and: [
+      { $or: [{ host: { $in: userIds } }, { 'roles.user': { $in: userIds } }] },
+      {
+        $or: windows.map(({ start, end }) => ({
+          scheduledDate: { $lt: new Date(end) },
+          $expr: { $gt: [scheduledEnd, new Date(start)] }
+        }))
+      }
+    ]
+  })
+  .select('title scheduledDate duration status host roles')
+  .sort({ scheduledDate: 1 })
+  .populate('host', 'username firstName lastName');
+};
+
+// Live webinars staffed by any of the users, regardless of their schedule
+webinarSchema.statics.findLiveFor = function(userIds, excludeIds = []) {
+  return this.find({
+    _id: { $nin: excludeIds },
+    status: 'live',
+    $or: [{ host: { $in: userIds } }, { 'roles.user': { $in: userIds } }]
+  })
+  .select('title scheduledDate duration status host roles')
+  .populate('host', 'username firstName lastName');
+};
+
 webinarSchema.statics.findUpcomingWebinars = function(limit = 10) {
   return this.find({
     status: 'scheduled',
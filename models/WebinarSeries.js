@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { generateOccurrenceDates } = require('../utils/recurrence');
+
+// Fields copied from a series onto each generated occurrence
+const TEMPLATE_FIELDS = [
+  'title',
+  'description',
+  'duration',
+  'maxParticipants',
+  'settings',
+  'tags',
+  'isPublic'
+];
+
+const webinarSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date, // first occurrence (DTSTART)
+    required: true
+  },
+  duration: {
+    type: Number, // in minutes
+    required: true,
+    min: 15,
+    max: 480
+  },
+  maxParticipants: {
+    type: Number,
+    default: 100,
+    min: 2,
+    max: 1000
+  },
+  settings: {
+    allowChat: { type: Boolean, default: true },
+    allowPrivateChat: { type: Boolean, default: false },
+    allowReactions: { type: Boolean, default: true },
+    allowQuestions: { type: Boolean, default: true },
+    allowAnonymousQuestions: { type: Boolean, default: true },
+    allowScreenShare: { type: Boolean, default: false },
+    allowRecording: { type: Boolean, default: true },
+    waitingRoom: { type: Boolean, default: false },
+    requireApproval: { type: Boolean, default: false },
+    autoStart: { type: Boolean, default: false },
+    registrationRequired: { type: Boolean, default: false },
+    lobbyMessage: { type: String, default: '', maxlength: 500 },
+    hostReconnectGrace: { type: Number, default: 120, min: 0, max: 1800 },
+    autoTransferHost: { type: Boolean, default: true },
+    autoEndWithoutHost: { type: Boolean, default: false },
+    blockedWords: [{ type: String, trim: true, lowercase: true, maxlength: 50 }]
+  },
+  tags: [String],
+  isPublic: {
+    type: Boolean,
+    default: true
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'monthly'],
+      required: true
+    },
+    interval: { type: Number, default: 1, min: 1, max: 12 },
+    byWeekday: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    byMonthDay: { type: Number, min: 1, max: 31 },
+    count: { type: Number, min: 1 },
+    until: Date
+  },
+  exceptions: [Date], // cancelled occurrence dates (EXDATE)
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+webinarSeriesSchema.index({ host: 1, startDate: -1 });
+
+// Methods
+webinarSeriesSchema.methods.getOccurrenceDates = function() {
+  return generateOccurrenceDates(this.startDate, this.recurrence, this.exceptions);
+};
+
+webinarSeriesSchema.methods.getTemplate = function() {
+  const series = this.toObject();
+  const template = {};
+
+  TEMPLATE_FIELDS.forEach(field => {
+    template[field] = series[field];
+  });
+
+  return template;
+};
+
+module.exports = mongoose.model('WebinarSeries', webinarSeriesSchema);
+module.exports.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { TEMPLATE_FIELDS } = require('./WebinarSeries');
+
+const webinarTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isShared: {
+    type: Boolean, // visible to (and usable by) every admin
+    default: false
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  duration: {
+    type: Number, // in minutes
+    required: true,
+    min: 15,
+    max: 480
+  },
+  maxParticipants: {
+    type: Number,
+    default: 100,
+    min: 2,
+    max: 1000
+  },
+  settings: {
+    allowChat: { type: Boolean, default: true },
+    allowPrivateChat: { type: Boolean, default: false },
+    allowReactions: { type: Boolean, default: true },
+    allowQuestions: { type: Boolean, default: true },
+    allowAnonymousQuestions: { type: Boolean, default: true },
+    allowScreenShare: { type: Boolean, default: false },
+    allowRecording: { type: Boolean, default: true },
+    waitingRoom: { type: Boolean, default: false },
+    requireApproval: { type: Boolean, default: false },
+    autoStart: { type: Boolean, default: false },
+    registrationRequired: { type: Boolean, default: false },
+    lobbyMessage: { type: String, default: '', maxlength: 500 },
+    hostReconnectGrace: { type: Number, default: 120, min: 0, max: 1800 },
+    autoTransferHost: { type: Boolean, default: true },
+    autoEndWithoutHost: { type: Boolean, default: false },
+    blockedWords: [{ type: String, trim: true, lowercase: true, maxlength: 50 }]
+  },
+  tags: [String],
+  isPublic: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+webinarTemplateSchema.index({ owner: 1, name: 1 });
+webinarTemplateSchema.index({ isShared: 1 });
+
+// Methods
+webinarTemplateSchema.methods.isAvailableTo = function(userId) {
+  return this.isShared || this.owner._id.toString() === userId.toString();
+};
+
+webinarTemplateSchema.methods.getTemplate = function() {
+  const stored = this.toObject();
+  const template = {};
+
+  TEMPLATE_FIELDS.forEach(field => {
+    template[field] = stored[field];
+  });
+
+  return template;
+};
+
+// Static methods
+webinarTemplateSchema.statics.findAvailable = function(userId) {
+  return this.find({
+    $or: [{ owner: userId }, { isShared: true }]
+  });
+};
+
+module.exports = mongoose.model('WebinarTemplate', webinarTemplateSchema);
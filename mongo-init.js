@@ -70,7 +70,7 @@ db.createCollection('webinars', {
         },
         status: {
           bsonType: 'string',
-          enum: ['scheduled', 'live', 'ended', 'cancelled']
+          enum: ['scheduled', 'live', 'ended', 'cancelled', 'missed']
         },
         roomId: {
           bsonType: 'string'
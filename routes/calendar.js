@@ -0,0 +1,71 @@
+const express = require('express');
+const User = require('../models/User');
+const Webinar = require('../models/Webinar');
+const Registration = require('../models/Registration');
+const { buildCalendar } = require('../utils/ical');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// How far back subscription feeds include past webinars
+const FEED_HISTORY_DAYS = 90;
+
+// Webinars that belong in a user's calendar feed
+const getFeedQuery = async (user) => {
+  const registered = await Registration.find({
+    user: user._id,
+    status: { $in: ['confirmed', 'waitlisted'] }
+  }).distinct('webinar');
+
+  const conditions = [
+    { 'participants.user': user._id },
+    { _id: { $in: registered } }
+  ];
+
+  // Admins also get the webinars they host
+  if (user.role === 'admin') {
+    conditions.push({ host: user._id });
+  }
+
+  return {
+    $or: conditions,
+    status: { $ne: 'missed' },
+    scheduledDate: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000) }
+  };
+};
+
+// Subscribable per-user calendar feed (token authenticated, for calendar clients)
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token })
+      .select('+calendarToken');
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const webinars = await Webinar.find(await getFeedQuery(user))
+      .sort({ scheduledDate: 1 });
+
+    const calendar = buildCalendar(webinars, {
+      name: `Webinars - ${user.firstName} ${user.lastName}`,
+      timezone: user.preferences.timezone
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(calendar);
+
+  } catch (error) {
+    logger.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
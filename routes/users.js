@@ -2,6 +2,7 @@ const express = require('express');
 const Joi = require('joi');
 const User = require('../models/User');
 const Webinar = require('../models/Webinar');
+const QuizAttempt = require('../models/QuizAttempt');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -87,6 +88,78 @@ router.put('/profile', async (req, res) => {
   }
 });
 
+// Build feed URLs for a calendar token
+const getCalendarFeedUrls = (req, token) => {
+  const feedUrl = `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+  return {
+    feedUrl,
+    webcalUrl: feedUrl.replace(/^https?:/, 'webcal:')
+  };
+};
+
+// Get calendar feed subscription URL (creates the token on first use)
+router.get('/calendar', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      data: getCalendarFeedUrls(req, user.calendarToken)
+    });
+
+  } catch (error) {
+    logger.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Regenerate calendar feed token (revokes previously shared URLs)
+router.post('/calendar/regenerate', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.generateCalendarToken();
+    await user.save();
+
+    logger.info(`Calendar feed token regenerated for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL regenerated successfully',
+      data: getCalendarFeedUrls(req, user.calendarToken)
+    });
+
+  } catch (error) {
+    logger.error('Regenerate calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get user dashboard data
 router.get('/dashboard', async (req, res) => {
   try {
@@ -224,20 +297,29 @@ router.get('/webinars/history', async (req, res) => {
 
     const total = await Webinar.countDocuments(query);
 
-    // For student, add their participation details
+    let data = webinars;
+
+    // For student, add their participation details and quiz scores
     if (req.user.role === 'student') {
-      webinars.forEach(webinar => {
+      const scores = await QuizAttempt.getScoresByWebinar(req.user.id, webinars.map(w => w._id));
+
+      data = webinars.map(webinar => {
         const participation = webinar.participants.find(p => 
-          p.user.toString() === req.user.id
+          p.user.toString() === req.user.id.toString()
         );
-        webinar.myParticipation = participation;
+
+        return {
+          ...webinar.toObject(),
+          myParticipation: participation,
+          quizScores: scores[webinar._id.toString()] || null
+        };
       });
     }
 
     res.json({
       success: true,
       data: {
-        webinars,
+        webinars: data,
         pagination: {
           current: page,
           pages: Math.ceil(total / limit),
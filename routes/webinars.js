@@ -1,12 +1,42 @@
 const express = require('express');
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
 const Webinar = require('../models/Webinar');
+const Registration = require('../models/Registration');
+const JoinRequest = require('../models/JoinRequest');
+const Invitation = require('../models/Invitation');
+const Ban = require('../models/Ban');
+const { BAN_SCOPES } = Ban;
+const ChatMessage = require('../models/ChatMessage');
+const Question = require('../models/Question');
+const Poll = require('../models/Poll');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const WebinarSeries = require('../models/WebinarSeries');
+const WebinarTemplate = require('../models/WebinarTemplate');
+const { TEMPLATE_FIELDS } = WebinarSeries;
+const {
+  MAX_OCCURRENCES,
+  countOccurrencesBefore,
+  shiftRecurrence
+} = require('../utils/recurrence');
+const { APP_URL } = require('../config/app');
+const { buildCalendar } = require('../utils/ical');
+const { TRANSCRIPT_FORMATS, buildTranscript } = require('../utils/transcript');
+const { toCsv } = require('../utils/csv');
+const { notifyUsers, sendEmail } = require('../utils/notifications');
+const { getIceServers } = require('../utils/turn');
+const { PERMISSIONS, ASSIGNABLE_ROLES } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const MAX_AVAILABILITY_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+
 // Validation schemas
+const blockedWordsSchema = Joi.array().items(Joi.string().trim().min(1).max(50)).max(200);
+
 const createWebinarSchema = Joi.object({
   title: Joi.string().max(200).required(),
   description: Joi.string().max(2000).required(),
@@ -15,11 +45,21 @@ const createWebinarSchema = Joi.object({
   maxParticipants: Joi.number().min(2).max(1000).default(100),
   settings: Joi.object({
     allowChat: Joi.boolean().default(true),
+    allowPrivateChat: Joi.boolean().default(false),
     allowReactions: Joi.boolean().default(true),
+    allowQuestions: Joi.boolean().default(true),
+    allowAnonymousQuestions: Joi.boolean().default(true),
     allowScreenShare: Joi.boolean().default(false),
     allowRecording: Joi.boolean().default(true),
     waitingRoom: Joi.boolean().default(false),
-    requireApproval: Joi.boolean().default(false)
+    requireApproval: Joi.boolean().default(false),
+    autoStart: Joi.boolean().default(false),
+    registrationRequired: Joi.boolean().default(false),
+    lobbyMessage: Joi.string().max(500).allow('').default(''),
+    hostReconnectGrace: Joi.number().integer().min(0).max(1800).default(120),
+    autoTransferHost: Joi.boolean().default(true),
+    autoEndWithoutHost: Joi.boolean().default(false),
+    blockedWords: blockedWordsSchema.default([])
   }).default({}),
   tags: Joi.array().items(Joi.string()).default([]),
   isPublic: Joi.boolean().default(true)
@@ -33,16 +73,370 @@ const updateWebinarSchema = Joi.object({
   maxParticipants: Joi.number().min(2).max(1000),
   settings: Joi.object({
     allowChat: Joi.boolean(),
+    allowPrivateChat: Joi.boolean(),
     allowReactions: Joi.boolean(),
+    allowQuestions: Joi.boolean(),
+    allowAnonymousQuestions: Joi.boolean(),
     allowScreenShare: Joi.boolean(),
     allowRecording: Joi.boolean(),
     waitingRoom: Joi.boolean(),
-    requireApproval: Joi.boolean()
+    requireApproval: Joi.boolean(),
+    autoStart: Joi.boolean(),
+    registrationRequired: Joi.boolean(),
+    lobbyMessage: Joi.string().max(500).allow(''),
+    hostReconnectGrace: Joi.number().integer().min(0).max(1800),
+    autoTransferHost: Joi.boolean(),
+    autoEndWithoutHost: Joi.boolean(),
+    blockedWords: blockedWordsSchema
   }),
   tags: Joi.array().items(Joi.string()),
   isPublic: Joi.boolean()
 });
 
+const createTemplateSchema = createWebinarSchema.keys({
+  name: Joi.string().max(100).required(),
+  isShared: Joi.boolean().default(false),
+  scheduledDate: Joi.forbidden()
+});
+
+const updateTemplateSchema = updateWebinarSchema.keys({
+  name: Joi.string().max(100),
+  isShared: Joi.boolean(),
+  scheduledDate: Joi.forbidden()
+});
+
+const availabilitySchema = Joi.object({
+  from: Joi.date().required(),
+  to: Joi.date().greater(Joi.ref('from')).required()
+    .custom((to, helpers) => {
+      const { from } = helpers.state.ancestors[0];
+      return to - from > MAX_AVAILABILITY_RANGE_MS ? helpers.error('date.max') : to;
+    }),
+  duration: Joi.number().min(15).max(480).default(60),
+  userIds: Joi.string().pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/)
+}).messages({
+  'date.max': '"to" must be within 31 days of "from"'
+});
+
+const chatHistorySchema = Joi.object({
+  before: Joi.date(),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const directMessagesSchema = chatHistorySchema.keys({
+  with: Joi.string().hex().length(24)
+});
+
+const chatMuteSchema = Joi.object({
+  duration: Joi.number().integer().min(1).max(24 * 60 * 60).default(5 * 60) // in seconds
+});
+
+const blockedWordsUpdateSchema = Joi.object({
+  words: blockedWordsSchema.required()
+});
+
+const updateQuestionSchema = Joi.object({
+  status: Joi.string().valid('answered', 'dismissed').required(),
+  answer: Joi.string().trim().max(2000).allow('')
+});
+
+const createPollSchema = Joi.object({
+  question: Joi.string().trim().max(300).required(),
+  type: Joi.string().valid('single', 'multiple').default('single'),
+  options: Joi.array().items(Joi.string().trim().max(200)).min(2).max(Poll.MAX_POLL_OPTIONS).required(),
+  hideResultsUntilClosed: Joi.boolean().default(false)
+});
+
+const updatePollSchema = Joi.object({
+  question: Joi.string().trim().max(300),
+  type: Joi.string().valid('single', 'multiple'),
+  options: Joi.array().items(Joi.string().trim().max(200)).min(2).max(Poll.MAX_POLL_OPTIONS),
+  hideResultsUntilClosed: Joi.boolean()
+});
+
+const quizQuestionSchema = Joi.object({
+  text: Joi.string().trim().max(500).required(),
+  type: Joi.string().valid('single', 'multiple').default('single'),
+  options: Joi.array().items(Joi.string().trim().max(200)).min(2).max(Quiz.MAX_QUESTION_OPTIONS).required(),
+  correctOptions: Joi.array().items(Joi.number().integer().min(0)).min(1).unique().required(), // option indexes
+  points: Joi.number().min(0).max(100).default(1)
+}).custom((question, helpers) => {
+  if (question.correctOptions.some(index => index >= question.options.length)) {
+    return helpers.message('"correctOptions" must refer to existing options');
+  }
+  if (question.type === 'single' && question.correctOptions.length !== 1) {
+    return helpers.message('Single choice questions need exactly one correct option');
+  }
+  return question;
+});
+
+const createQuizSchema = Joi.object({
+  title: Joi.string().trim().max(200).required(),
+  timeLimit: Joi.number().integer().min(10).max(3 * 60 * 60), // in seconds
+  questions: Joi.array().items(quizQuestionSchema).min(1).max(Quiz.MAX_QUIZ_QUESTIONS).required()
+});
+
+const updateQuizSchema = Joi.object({
+  title: Joi.string().trim().max(200),
+  timeLimit: Joi.number().integer().min(10).max(3 * 60 * 60).allow(null),
+  questions: Joi.array().items(quizQuestionSchema).min(1).max(Quiz.MAX_QUIZ_QUESTIONS)
+});
+
+const cancelWebinarSchema = Joi.object({
+  reason: Joi.string().max(500).allow('')
+});
+
+const rescheduleWebinarSchema = Joi.object({
+  scheduledDate: Joi.date().min('now').required(),
+  duration: Joi.number().min(15).max(480),
+  reason: Joi.string().max(500).allow('')
+});
+
+const assignRoleSchema = Joi.object({
+  role: Joi.string().valid(...ASSIGNABLE_ROLES).required()
+});
+
+const transferHostSchema = Joi.object({
+  userId: Joi.string().hex().length(24).required()
+});
+
+const createInvitationSchema = Joi.object({
+  userId: Joi.string().hex().length(24),
+  email: Joi.string().email(),
+  expiresAt: Joi.date().greater('now'),
+  maxUses: Joi.number().integer().min(1).max(10000)
+}).oxor('userId', 'email');
+
+const userIdParamSchema = Joi.string().hex().length(24);
+
+const removeParticipantSchema = Joi.object({
+  ban: Joi.string().valid(...BAN_SCOPES),
+  reason: Joi.string().max(500).allow('')
+});
+
+const createJoinRequestSchema = Joi.object({
+  message: Joi.string().max(500).allow('')
+});
+
+const reviewJoinRequestSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected').required(),
+  reason: Joi.string().max(500).allow('')
+});
+
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid('weekly', 'monthly').required(),
+  interval: Joi.number().integer().min(1).max(12).default(1),
+  byWeekday: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+  byMonthDay: Joi.number().integer().min(1).max(31),
+  count: Joi.number().integer().min(1).max(MAX_OCCURRENCES),
+  until: Joi.date()
+}).or('count', 'until');
+
+const createSeriesSchema = createWebinarSchema.keys({
+  recurrence: recurrenceSchema.required(),
+  exceptions: Joi.array().items(Joi.date()).default([])
+});
+
+const updateSeriesSchema = updateWebinarSchema.keys({
+  scheduledDate: Joi.forbidden(),
+  recurrence: recurrenceSchema,
+  exceptions: Joi.array().items(Joi.date())
+});
+
+// Time window occupied by a webinar starting at scheduledDate
+const toTimeWindow = (scheduledDate, duration) => {
+  const start = new Date(scheduledDate);
+  return { start, end: new Date(start.getTime() + duration * 60 * 1000) };
+};
+
+// 409 response listing the webinars a schedule would overlap
+const sendConflicts = (res, conflicts, message = 'Schedule conflicts with other webinars') => {
+  return res.status(409).json({
+    success: false,
+    message,
+    conflicts
+  });
+};
+
+// Reusable fields of an existing webinar, as stored on series and templates
+const pickTemplateFields = (webinar) => {
+  const stored = webinar.toObject();
+  const fields = {};
+
+  TEMPLATE_FIELDS.forEach(field => {
+    fields[field] = stored[field];
+  });
+
+  return fields;
+};
+
+// Apply request overrides on top of template fields, merging settings key by key
+const mergeWebinarFields = (source, overrides = {}) => ({
+  ...source,
+  ...overrides,
+  settings: { ...source.settings, ...overrides.settings }
+});
+
+// Build occurrence webinars for a series, each with its own room
+const buildOccurrences = (series, dates) => {
+  return dates.map(date => new Webinar({
+    ...series.getTemplate(),
+    host: series.host,
+    scheduledDate: date,
+    roomId: uuidv4(),
+    series: series._id,
+    occurrenceDate: date
+  }));
+};
+
+// Delete webinars together with everything that belongs to them
+const deleteWebinars = async (webinarIds) => {
+  await Webinar.deleteMany({ _id: { $in: webinarIds } });
+  await Registration.deleteMany({ webinar: { $in: webinarIds } });
+  await JoinRequest.deleteMany({ webinar: { $in: webinarIds } });
+  await Invitation.deleteMany({ webinar: { $in: webinarIds } });
+  await Ban.deleteMany({ webinar: { $in: webinarIds }, scope: 'webinar' });
+  await ChatMessage.deleteMany({ webinar: { $in: webinarIds } });
+  await Question.deleteMany({ webinar: { $in: webinarIds } });
+  await Poll.deleteMany({ webinar: { $in: webinarIds } });
+  await Quiz.deleteMany({ webinar: { $in: webinarIds } });
+  await QuizAttempt.deleteMany({ webinar: { $in: webinarIds } });
+};
+
+// Webinars that the upcoming occurrences of a series would overlap at the
+// given dates, for the series host and everyone staffing its occurrences
+const findSeriesConflicts = async (seriesIds, hostId, dates, duration) => {
+  const occurrences = await Webinar.find({ series: { $in: seriesIds } }).select('host roles');
+  const userIds = new Set([
+    hostId.toString(),
+    ...occurrences.flatMap(webinar => webinar.getStaffUserIds())
+  ]);
+
+  return Webinar.findConflicts(
+    [...userIds],
+    dates.map(date => toTimeWindow(date, duration)),
+    occurrences.map(webinar => webinar._id)
+  );
+};
+
+// Bring upcoming occurrences in line with the series recurrence: create
+// missing ones and drop scheduled ones that no longer match the rule. Dropped
+// occurrences that people registered for, were invited to or asked to join
+// are cancelled (and those people told) rather than deleted.
+const syncOccurrences = async (req, series) => {
+  const now = new Date();
+  const dates = series.getOccurrenceDates().filter(date => date >= now);
+  const existing = await Webinar.find({
+    series: series._id,
+    occurrenceDate: { $gte: now }
+  });
+
+  const wanted = new Set(dates.map(date => date.getTime()));
+  const present = new Set(existing.map(webinar => webinar.occurrenceDate.getTime()));
+
+  const stale = existing.filter(webinar =>
+    webinar.status === 'scheduled' && !wanted.has(webinar.occurrenceDate.getTime())
+  );
+  const missing = dates.filter(date => !present.has(date.getTime()));
+
+  const removed = [];
+  for (const webinar of stale) {
+    const affected = await getAffectedUserIds(webinar, req.user.id);
+
+    if (affected.length === 0) {
+      removed.push(webinar._id);
+      continue;
+    }
+
+    await webinar.cancel(req.user.id, 'No longer part of the series schedule');
+    await notifyWebinarCancelled(req, webinar);
+  }
+
+  if (removed.length > 0) {
+    await deleteWebinars(removed);
+  }
+
+  if (missing.length > 0) {
+    await Webinar.insertMany(buildOccurrences(series, missing));
+  }
+};
+
+// Notify users whose waitlisted registration got a seat
+const notifyPromotedRegistrations = (req, webinar, promoted) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  promoted.forEach(registration => {
+    io.to(`user:${registration.user}`).emit('registration-confirmed', {
+      webinarId: webinar._id,
+      title: webinar.title,
+      scheduledDate: webinar.scheduledDate
+    });
+  });
+};
+
+// Users affected by a schedule change: registrants, invitees, assigned roles,
+// past participants and pending join requests (excluding whoever made the change)
+const getAffectedUserIds = async (webinar, excludeUserId) => {
+  const [registrants, invitees, requesters] = await Promise.all([
+    Registration.find({ webinar: webinar._id, status: { $ne: 'cancelled' } }).distinct('user'),
+    Invitation.find({ webinar: webinar._id, user: { $ne: null }, revokedAt: null }).distinct('user'),
+    JoinRequest.find({ webinar: webinar._id, status: { $ne: 'rejected' } }).distinct('user')
+  ]);
+
+  const userIds = new Set([
+    webinar.host._id.toString(),
+    ...webinar.roles.map(r => r.user._id.toString()),
+    ...webinar.participants.map(p => p.user._id.toString()),
+    ...[...registrants, ...invitees, ...requesters].map(id => id.toString())
+  ]);
+
+  if (excludeUserId) {
+    userIds.delete(excludeUserId.toString());
+  }
+
+  return [...userIds];
+};
+
+const notifyWebinarCancelled = async (req, webinar) => {
+  const userIds = await getAffectedUserIds(webinar, req.user.id);
+  const reason = webinar.cancellation.reason;
+
+  await notifyUsers(req.app.get('io'), userIds, 'webinar-cancelled', {
+    webinarId: webinar._id,
+    title: webinar.title,
+    scheduledDate: webinar.scheduledDate,
+    reason
+  }, {
+    subject: `Cancelled: ${webinar.title}`,
+    text: [
+      `The webinar "${webinar.title}" scheduled for ${webinar.scheduledDate.toUTCString()} has been cancelled.`,
+      reason ? `Reason: ${reason}` : null
+    ].filter(Boolean).join('\n\n')
+  });
+};
+
+const notifyWebinarRescheduled = async (req, webinar) => {
+  const userIds = await getAffectedUserIds(webinar, req.user.id);
+  const change = webinar.history[webinar.history.length - 1];
+
+  await notifyUsers(req.app.get('io'), userIds, 'webinar-rescheduled', {
+    webinarId: webinar._id,
+    title: webinar.title,
+    previousScheduledDate: change.previousScheduledDate,
+    scheduledDate: webinar.scheduledDate,
+    duration: webinar.duration,
+    reason: change.reason
+  }, {
+    subject: `Rescheduled: ${webinar.title}`,
+    text: [
+      `The webinar "${webinar.title}" has moved from ${change.previousScheduledDate.toUTCString()} to ${webinar.scheduledDate.toUTCString()} (${webinar.duration} minutes).`,
+      change.reason ? `Reason: ${change.reason}` : null,
+      `${APP_URL}/webinars/${webinar._id}`
+    ].filter(Boolean).join('\n\n')
+  });
+};
+
 // Create webinar (admin only)
 router.post('/', async (req, res) => {
   try {
@@ -63,6 +457,12 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // The host can't be booked into two webinars at once
+    const conflicts = await Webinar.findConflicts([req.user.id], [toTimeWindow(value.scheduledDate, value.duration)]);
+    if (conflicts.length) {
+      return sendConflicts(res, conflicts);
+    }
+
     // Generate unique room ID
     const roomId = uuidv4();
 
@@ -93,63 +493,106 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all webinars (with filtering)
-router.get('/', async (req, res) => {
+// Create recurring webinar series (admin only)
+router.post('/series', async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can create webinars'
+      });
+    }
+
+    // Validate input
+    const { error, value } = createSeriesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const { scheduledDate, recurrence, exceptions, ...template } = value;
+
+    const series = new WebinarSeries({
+      ...template,
+      host: req.user.id,
+      startDate: scheduledDate,
+      recurrence,
+      exceptions
+    });
+
+    const dates = series.getOccurrenceDates();
+    if (dates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence does not produce any occurrences'
+      });
+    }
+
+    const conflicts = await Webinar.findConflicts(
+      [req.user.id],
+      dates.map(date => toTimeWindow(date, series.duration))
+    );
+    if (conflicts.length) {
+      return sendConflicts(res, conflicts);
+    }
+
+    await series.save();
+    const occurrences = await Webinar.insertMany(buildOccurrences(series, dates));
+
+    logger.info(`Webinar series created: ${series.title} (${occurrences.length} occurrences) by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webinar series created successfully',
+      data: {
+        series,
+        occurrences
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create webinar series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get all webinar series
+router.get('/series', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
     let query = {};
-    
-    // Filter by status
-    if (req.query.status) {
-      query.status = req.query.status;
-    }
-
-    // Filter by date range
-    if (req.query.from || req.query.to) {
-      query.scheduledDate = {};
-      if (req.query.from) {
-        query.scheduledDate.$gte = new Date(req.query.from);
-      }
-      if (req.query.to) {
-        query.scheduledDate.$lte = new Date(req.query.to);
-      }
-    }
 
-    // Filter by host (for admin users)
-    if (req.user.role === 'admin' && req.query.host) {
-      query.host = req.query.host;
-    } else if (req.user.role === 'admin' && req.query.myWebinars === 'true') {
+    if (req.user.role === 'admin' && req.query.myWebinars === 'true') {
       query.host = req.user.id;
     }
 
-    // For students, only show public webinars
+    // For students, only show active public series
     if (req.user.role === 'student') {
       query.isPublic = true;
+      query.status = 'active';
     }
 
-    // Search by title or description
-    if (req.query.search) {
-      query.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } }
-      ];
-    }
-
-    const webinars = await Webinar.find(query)
+    const series = await WebinarSeries.find(query)
       .populate('host', 'username firstName lastName')
-      .sort({ scheduledDate: req.query.sort === 'asc' ? 1 : -1 })
+      .sort({ startDate: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Webinar.countDocuments(query);
+    const total = await WebinarSeries.countDocuments(query);
 
     res.json({
       success: true,
       data: {
-        webinars,
+        series,
         pagination: {
           current: page,
           pages: Math.ceil(total / limit),
@@ -160,7 +603,7 @@ router.get('/', async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Get webinars error:', error);
+    logger.error('Get webinar series error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -168,35 +611,40 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single webinar
-router.get('/:id', async (req, res) => {
+// Get single webinar series with its occurrences
+router.get('/series/:seriesId', async (req, res) => {
   try {
-    const webinar = await Webinar.findById(req.params.id)
-      .populate('host', 'username firstName lastName')
-      .populate('participants.user', 'username firstName lastName');
+    const series = await WebinarSeries.findById(req.params.seriesId)
+      .populate('host', 'username firstName lastName');
 
-    if (!webinar) {
+    if (!series) {
       return res.status(404).json({
         success: false,
-        message: 'Webinar not found'
+        message: 'Webinar series not found'
       });
     }
 
-    // Students can only view public webinars
-    if (req.user.role === 'student' && !webinar.isPublic) {
+    // Students can only view public series
+    if (req.user.role === 'student' && !series.isPublic) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    const occurrences = await Webinar.find({ series: series._id })
+      .sort({ occurrenceDate: 1 });
+
     res.json({
       success: true,
-      data: webinar
+      data: {
+        series,
+        occurrences
+      }
     });
 
   } catch (error) {
-    logger.error('Get webinar error:', error);
+    logger.error('Get webinar series error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -204,36 +652,35 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update webinar (admin and host only)
-router.put('/:id', async (req, res) => {
+// Update webinar series (admin and host only)
+router.put('/series/:seriesId', async (req, res) => {
   try {
-    const webinar = await Webinar.findById(req.params.id);
+    const series = await WebinarSeries.findById(req.params.seriesId);
 
-    if (!webinar) {
+    if (!series) {
       return res.status(404).json({
         success: false,
-        message: 'Webinar not found'
+        message: 'Webinar series not found'
       });
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && webinar.host.toString() !== req.user.id.toString()) {
+    if (req.user.role !== 'admin' && series.host.toString() !== req.user.id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to update this webinar'
+        message: 'Not authorized to update this webinar series'
       });
     }
 
-    // Can't update live or ended webinars
-    if (webinar.status === 'live' || webinar.status === 'ended') {
+    if (series.status === 'cancelled') {
       return res.status(400).json({
         success: false,
-        message: 'Cannot update live or ended webinars'
+        message: 'Cannot update a cancelled webinar series'
       });
     }
 
     // Validate input
-    const { error, value } = updateWebinarSchema.validate(req.body);
+    const { error, value } = updateSeriesSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -242,21 +689,77 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Update webinar
-    Object.assign(webinar, value);
-    await webinar.save();
-    await webinar.populate('host', 'username firstName lastName');
+    const { recurrence, exceptions, ...template } = value;
+    if (template.settings) {
+      template.settings = { ...series.toObject().settings, ...template.settings };
+    }
 
-    logger.info(`Webinar updated: ${webinar.title} by ${req.user.username}`);
+    Object.assign(series, template);
+    if (recurrence) series.recurrence = recurrence;
+    if (exceptions) series.exceptions = exceptions;
+
+    if (recurrence && series.getOccurrenceDates().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence does not produce any occurrences'
+      });
+    }
+
+    // Nobody on the series can be booked elsewhere at its new times
+    if (recurrence || exceptions || template.duration) {
+      const now = new Date();
+      const dates = series.getOccurrenceDates().filter(date => date >= now);
+      const conflicts = await findSeriesConflicts([series._id], series.host, dates, series.duration);
+      if (conflicts.length) {
+        return sendConflicts(res, conflicts);
+      }
+    }
+
+    await series.save();
+
+    // Upcoming occurrences that weren't edited individually follow the series;
+    // a new duration goes through their change history
+    const { duration, ...fields } = template;
+    const following = {
+      series: series._id,
+      status: 'scheduled',
+      isException: false,
+      scheduledDate: { $gte: new Date() }
+    };
+
+    if (Object.keys(fields).length > 0) {
+      await Webinar.updateMany(following, { $set: fields, $inc: { sequence: 1 } });
+    }
+
+    if (duration) {
+      for (const webinar of await Webinar.find(following)) {
+        if (webinar.reschedule({ duration }, req.user.id)) {
+          await webinar.save();
+          await notifyWebinarRescheduled(req, webinar);
+        }
+      }
+    }
+
+    if (recurrence || exceptions) {
+      await syncOccurrences(req, series);
+    }
+
+    const occurrences = await Webinar.find({ series: series._id })
+      .sort({ occurrenceDate: 1 });
+
+    logger.info(`Webinar series updated: ${series.title} by ${req.user.username}`);
 
     res.json({
       success: true,
-      message: 'Webinar updated successfully',
-      data: webinar
+      message: 'Webinar series updated successfully',
+      data: {
+        series,
+        occurrences
+      }
     });
 
   } catch (error) {
-    logger.error('Update webinar error:', error);
+    logger.error('Update webinar series error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -264,45 +767,53 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Delete webinar (admin and host only)
-router.delete('/:id', async (req, res) => {
+// Delete webinar series (admin and host only)
+router.delete('/series/:seriesId', async (req, res) => {
   try {
-    const webinar = await Webinar.findById(req.params.id);
+    const series = await WebinarSeries.findById(req.params.seriesId);
 
-    if (!webinar) {
+    if (!series) {
       return res.status(404).json({
         success: false,
-        message: 'Webinar not found'
+        message: 'Webinar series not found'
       });
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && webinar.host.toString() !== req.user.id.toString()) {
+    if (req.user.role !== 'admin' && series.host.toString() !== req.user.id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to delete this webinar'
+        message: 'Not authorized to delete this webinar series'
       });
     }
 
-    // Can't delete live webinars
-    if (webinar.status === 'live') {
+    const liveOccurrence = await Webinar.exists({ series: series._id, status: 'live' });
+    if (liveOccurrence) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete live webinars'
+        message: 'Cannot delete a series with a live occurrence'
       });
     }
 
-    await Webinar.findByIdAndDelete(req.params.id);
+    // Remove occurrences that never took place; ended ones are kept as standalone webinars
+    const removed = await Webinar.find({
+      series: series._id,
+      status: { $in: ['scheduled', 'cancelled'] }
+    }).distinct('_id');
 
-    logger.info(`Webinar deleted: ${webinar.title} by ${req.user.username}`);
+    await deleteWebinars(removed);
+    await Webinar.updateMany({ series: series._id }, { $set: { series: null } });
+    await WebinarSeries.findByIdAndDelete(series._id);
+
+    logger.info(`Webinar series deleted: ${series.title} by ${req.user.username}`);
 
     res.json({
       success: true,
-      message: 'Webinar deleted successfully'
+      message: 'Webinar series deleted successfully'
     });
 
   } catch (error) {
-    logger.error('Delete webinar error:', error);
+    logger.error('Delete webinar series error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -310,54 +821,3095 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Start webinar (host only)
-router.post('/:id/start', async (req, res) => {
+// Update a single occurrence, or this and all following ones (?scope=following)
+router.put('/series/:seriesId/occurrences/:occurrenceId', async (req, res) => {
   try {
-    const webinar = await Webinar.findById(req.params.id);
+    const scope = req.query.scope === 'following' ? 'following' : 'this';
 
-    if (!webinar) {
+    const series = await WebinarSeries.findById(req.params.seriesId);
+    const occurrence = series && await Webinar.findOne({
+      _id: req.params.occurrenceId,
+      series: series._id
+    });
+
+    if (!occurrence) {
       return res.status(404).json({
         success: false,
-        message: 'Webinar not found'
+        message: 'Occurrence not found'
       });
     }
 
-    // Check if user is the host
-    console.log('DEBUG - Start Webinar:');
-    console.log('  Webinar host:', webinar.host.toString());
-    console.log('  User ID:', req.user.id.toString());
-    console.log('  User role:', req.user.role);
-    console.log('  Match check:', webinar.host.toString() === req.user.id.toString());
-
-    if (webinar.host.toString() !== req.user.id.toString()) {
+    // Check permissions
+    if (req.user.role !== 'admin' && series.host.toString() !== req.user.id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Only the host can start the webinar'
+        message: 'Not authorized to update this webinar series'
       });
     }
 
-    // Check if webinar is scheduled
-    if (webinar.status !== 'scheduled') {
+    if (occurrence.status !== 'scheduled') {
       return res.status(400).json({
         success: false,
-        message: 'Webinar cannot be started'
+        message: 'Only scheduled occurrences can be updated'
       });
     }
 
-    // Start webinar
-    await webinar.startWebinar();
-    await webinar.populate('host', 'username firstName lastName');
-
-    logger.info(`Webinar started: ${webinar.title} by ${req.user.username}`);
-
-    res.json({
-      success: true,
-      message: 'Webinar started successfully',
+    // Validate input
+    const { error, value } = updateWebinarSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    if (scope === 'this') {
+      // Date and duration changes go through the change history
+      const { scheduledDate, duration, ...fields } = value;
+      Object.assign(occurrence, fields);
+      const rescheduled = occurrence.reschedule({ scheduledDate, duration }, req.user.id);
+
+      if (rescheduled) {
+        const conflicts = await Webinar.findConflicts(
+          occurrence.getStaffUserIds(),
+          [occurrence.getTimeWindow()],
+          [occurrence._id]
+        );
+        if (conflicts.length) {
+          return sendConflicts(res, conflicts);
+        }
+      }
+
+      occurrence.isException = true;
+      await occurrence.save();
+
+      if (rescheduled) {
+        await notifyWebinarRescheduled(req, occurrence);
+      }
+
+      logger.info(`Webinar occurrence updated: ${occurrence.title} by ${req.user.username}`);
+
+      return res.json({
+        success: true,
+        message: 'Occurrence updated successfully',
+        data: occurrence
+      });
+    }
+
+    const { scheduledDate, ...template } = value;
+    if (template.settings) {
+      template.settings = { ...series.toObject().settings, ...template.settings };
+    }
+
+    const occurrenceDate = occurrence.occurrenceDate;
+    const offset = scheduledDate ? new Date(scheduledDate) - occurrenceDate : 0;
+    const shift = (date) => new Date(new Date(date).getTime() + offset);
+    const original = series.toObject();
+
+    let target = series;
+
+    if (occurrenceDate > series.startDate) {
+      // Split: the original series ends before this occurrence and a new one takes over
+      const previousCount = countOccurrencesBefore(series.startDate, original.recurrence, occurrenceDate);
+
+      target = new WebinarSeries({
+        ...series.getTemplate(),
+        ...template,
+        host: series.host,
+        startDate: shift(occurrenceDate),
+        recurrence: {
+          ...shiftRecurrence(original.recurrence, occurrenceDate, shift(occurrenceDate)),
+          count: original.recurrence.count ? original.recurrence.count - previousCount : undefined
+        },
+        exceptions: original.exceptions
+          .filter(date => date >= occurrenceDate)
+          .map(shift)
+      });
+
+      series.recurrence.until = new Date(occurrenceDate.getTime() - 1);
+      if (original.recurrence.count) {
+        series.recurrence.count = previousCount;
+      }
+      series.exceptions = original.exceptions.filter(date => date < occurrenceDate);
+    } else {
+      // Editing from the first occurrence changes the whole series
+      Object.assign(series, template);
+      if (offset) {
+        series.recurrence = shiftRecurrence(original.recurrence, series.startDate, shift(series.startDate));
+        series.startDate = shift(series.startDate);
+        series.exceptions = original.exceptions.map(shift);
+      }
+    }
+
+    // Nobody on the series can be booked elsewhere at the new times
+    if (offset || template.duration) {
+      const now = new Date();
+      const dates = target.getOccurrenceDates().filter(date => date >= now);
+      const conflicts = await findSeriesConflicts([series._id], series.host, dates, target.duration);
+      if (conflicts.length) {
+        return sendConflicts(res, conflicts);
+      }
+    }
+
+    if (target !== series) {
+      await target.save();
+    }
+    await series.save();
+
+    const following = await Webinar.find({
+      series: series._id,
+      status: { $in: ['scheduled', 'cancelled'] },
+      occurrenceDate: { $gte: occurrenceDate }
+    });
+
+    const { duration, ...fields } = template;
+
+    for (const webinar of following) {
+      webinar.series = target._id;
+      webinar.occurrenceDate = shift(webinar.occurrenceDate);
+
+      // Date and duration changes go through the change history
+      let rescheduled = false;
+      if (webinar.status === 'scheduled') {
+        Object.assign(webinar, fields);
+        rescheduled = webinar.reschedule({ scheduledDate: webinar.occurrenceDate, duration }, req.user.id);
+        webinar.isException = false;
+      }
+
+      await webinar.save();
+
+      if (rescheduled) {
+        await notifyWebinarRescheduled(req, webinar);
+      }
+    }
+
+    await syncOccurrences(req, target);
+
+    const occurrences = await Webinar.find({ series: target._id })
+      .sort({ occurrenceDate: 1 });
+
+    logger.info(`Webinar series updated from ${occurrenceDate.toISOString()}: ${target.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Occurrences updated successfully',
+      data: {
+        series: target,
+        occurrences
+      }
+    });
+
+  } catch (error) {
+    logger.error('Update webinar occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel a single occurrence, or this and all following ones (?scope=following)
+router.delete('/series/:seriesId/occurrences/:occurrenceId', async (req, res) => {
+  try {
+    const scope = req.query.scope === 'following' ? 'following' : 'this';
+
+    const series = await WebinarSeries.findById(req.params.seriesId);
+    const occurrence = series && await Webinar.findOne({
+      _id: req.params.occurrenceId,
+      series: series._id
+    });
+
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && series.host.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this webinar series'
+      });
+    }
+
+    if (occurrence.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled occurrences can be cancelled'
+      });
+    }
+
+    const occurrenceDate = occurrence.occurrenceDate;
+
+    let cancelled = [occurrence];
+
+    if (scope === 'this') {
+      series.exceptions.push(occurrenceDate);
+    } else {
+      if (occurrenceDate > series.startDate) {
+        const previousCount = countOccurrencesBefore(series.startDate, series.toObject().recurrence, occurrenceDate);
+        series.recurrence.until = new Date(occurrenceDate.getTime() - 1);
+        if (series.recurrence.count) {
+          series.recurrence.count = previousCount;
+        }
+        series.exceptions = series.exceptions.filter(date => date < occurrenceDate);
+      } else {
+        series.status = 'cancelled';
+      }
+
+      cancelled = await Webinar.find({
+        series: series._id,
+        status: 'scheduled',
+        occurrenceDate: { $gte: occurrenceDate }
+      });
+    }
+
+    await series.save();
+
+    for (const webinar of cancelled) {
+      await webinar.cancel(req.user.id);
+      await notifyWebinarCancelled(req, webinar);
+    }
+
+    logger.info(`Webinar occurrence cancelled (${scope}): ${occurrence.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: scope === 'this' ? 'Occurrence cancelled successfully' : 'Occurrences cancelled successfully',
+      data: series
+    });
+
+  } catch (error) {
+    logger.error('Cancel webinar occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create webinar template (admin only)
+router.post('/templates', async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can manage webinar templates'
+      });
+    }
+
+    const { error, value } = createTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const template = await WebinarTemplate.create({
+      ...value,
+      owner: req.user.id
+    });
+
+    logger.info(`Webinar template created: ${template.name} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webinar template created successfully',
+      data: template
+    });
+
+  } catch (error) {
+    logger.error('Create webinar template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get own and shared webinar templates (admin only)
+router.get('/templates', async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can manage webinar templates'
+      });
+    }
+
+    const templates = await WebinarTemplate.findAvailable(req.user.id)
+      .populate('owner', 'username firstName lastName')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+
+  } catch (error) {
+    logger.error('Get webinar templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get single webinar template (admin only)
+router.get('/templates/:templateId', async (req, res) => {
+  try {
+    const template = req.user.role === 'admin' && await WebinarTemplate.findById(req.params.templateId)
+      .populate('owner', 'username firstName lastName');
+
+    if (!template || !template.isAvailableTo(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    logger.error('Get webinar template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update webinar template (owner only)
+router.put('/templates/:templateId', async (req, res) => {
+  try {
+    const template = await WebinarTemplate.findById(req.params.templateId);
+
+    if (!template || req.user.role !== 'admin' || !template.isAvailableTo(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar template not found'
+      });
+    }
+
+    if (template.owner.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this webinar template'
+      });
+    }
+
+    const { error, value } = updateTemplateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const { settings, ...fields } = value;
+    Object.assign(template, fields);
+    if (settings) {
+      template.set('settings', { ...template.toObject().settings, ...settings });
+    }
+
+    await template.save();
+
+    logger.info(`Webinar template updated: ${template.name} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Webinar template updated successfully',
+      data: template
+    });
+
+  } catch (error) {
+    logger.error('Update webinar template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete webinar template (owner only)
+router.delete('/templates/:templateId', async (req, res) => {
+  try {
+    const template = await WebinarTemplate.findById(req.params.templateId);
+
+    if (!template || req.user.role !== 'admin' || !template.isAvailableTo(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar template not found'
+      });
+    }
+
+    if (template.owner.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this webinar template'
+      });
+    }
+
+    await WebinarTemplate.findByIdAndDelete(template._id);
+
+    logger.info(`Webinar template deleted: ${template.name} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Webinar template deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete webinar template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create a webinar from a template (admin only)
+router.post('/templates/:templateId/webinars', async (req, res) => {
+  try {
+    const template = await WebinarTemplate.findById(req.params.templateId);
+
+    if (!template || req.user.role !== 'admin' || !template.isAvailableTo(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar template not found'
+      });
+    }
+
+    const { error, value } = createWebinarSchema.validate(mergeWebinarFields(template.getTemplate(), req.body));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    // The host can't be booked into two webinars at once
+    const conflicts = await Webinar.findConflicts([req.user.id], [toTimeWindow(value.scheduledDate, value.duration)]);
+    if (conflicts.length) {
+      return sendConflicts(res, conflicts);
+    }
+
+    const webinar = new Webinar({
+      ...value,
+      host: req.user.id,
+      roomId: uuidv4()
+    });
+
+    await webinar.save();
+    await webinar.populate('host', 'username firstName lastName');
+
+    logger.info(`Webinar created from template ${template.name}: ${webinar.title} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webinar created successfully',
+      data: webinar
+    });
+
+  } catch (error) {
+    logger.error('Create webinar from template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get busy times and free slots for hosts within a date range.
+// Admins may check other users (?userIds=a,b finds slots free for all of them).
+router.get('/availability', async (req, res) => {
+  try {
+    const { error, value } = availabilitySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const userIds = value.userIds ? value.userIds.split(',') : [req.user.id.toString()];
+
+    if (req.user.role !== 'admin' && userIds.some(id => id !== req.user.id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view availability of other users'
+      });
+    }
+
+    const { from, to } = value;
+    const webinars = await Webinar.findConflicts(userIds, [{ start: from, end: to }]);
+
+    const busy = webinars.map(webinar => {
+      const { start, end } = webinar.getTimeWindow();
+      return {
+        webinarId: webinar._id,
+        title: webinar.title,
+        status: webinar.status,
+        start,
+        end
+      };
+    });
+
+    // Walk the busy windows in order and collect gaps long enough for the slot
+    const free = [];
+    const slotMs = value.duration * 60 * 1000;
+    let cursor = from;
+
+    busy.forEach(({ start, end }) => {
+      if (start - cursor >= slotMs) {
+        free.push({ start: cursor, end: start });
+      }
+      if (end > cursor) {
+        cursor = end;
+      }
+    });
+
+    if (to - cursor >= slotMs) {
+      free.push({ start: cursor, end: to });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userIds,
+        from,
+        to,
+        duration: value.duration,
+        busy,
+        free
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get all webinars (with filtering)
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+    
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    // Filter by series
+    if (req.query.series) {
+      query.series = req.query.series;
+    }
+
+    // Filter by date range
+    if (req.query.from || req.query.to) {
+      query.scheduledDate = {};
+      if (req.query.from) {
+        query.scheduledDate.$gte = new Date(req.query.from);
+      }
+      if (req.query.to) {
+        query.scheduledDate.$lte = new Date(req.query.to);
+      }
+    }
+
+    // Filter by host (for admin users)
+    if (req.user.role === 'admin' && req.query.host) {
+      query.host = req.query.host;
+    } else if (req.user.role === 'admin' && req.query.myWebinars === 'true') {
+      query.host = req.user.id;
+    }
+
+    // For students, only show public webinars (or ones they have a role in or are invited to)
+    if (req.user.role === 'student') {
+      const invited = await Invitation.findWebinarIdsFor(req.user.id);
+      query.$and = [
+        { $or: [{ isPublic: true }, { 'roles.user': req.user.id }, { _id: { $in: invited } }] }
+      ];
+    }
+
+    // Search by title or description
+    if (req.query.search) {
+      query.$or = [
+        { title: { $regex: req.query.search, $options: 'i' } },
+        { description: { $regex: req.query.search, $options: 'i' } }
+      ];
+    }
+
+    const webinars = await Webinar.find(query)
+      .populate('host', 'username firstName lastName')
+      .sort({ scheduledDate: req.query.sort === 'asc' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Webinar.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        webinars,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get webinars error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get single webinar
+router.get('/:id', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id)
+      .populate('host', 'username firstName lastName')
+      .populate('participants.user', 'username firstName lastName');
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Students can only view public webinars (or ones they have a role in or are invited to)
+    if (!(await webinar.isVisibleTo(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webinar
+    });
+
+  } catch (error) {
+    logger.error('Get webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download webinar as an iCalendar event
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Students can only view public webinars (or ones they have a role in or are invited to)
+    if (!(await webinar.isVisibleTo(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('preferences');
+    const calendar = buildCalendar([webinar], {
+      name: webinar.title,
+      timezone: user && user.preferences.timezone
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="webinar-${webinar._id}.ics"`);
+    res.send(calendar);
+
+  } catch (error) {
+    logger.error('Get webinar calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update webinar (admin and host only)
+router.put('/:id', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && webinar.host.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this webinar'
+      });
+    }
+
+    // Can't update live or ended webinars
+    if (webinar.status === 'live' || webinar.status === 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update live or ended webinars'
+      });
+    }
+
+    // Validate input
+    const { error, value } = updateWebinarSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    // Update webinar; date and duration changes go through the change history
+    const { scheduledDate, duration, ...fields } = value;
+    Object.assign(webinar, fields);
+    const rescheduled = webinar.reschedule({ scheduledDate, duration }, req.user.id);
+
+    if (rescheduled) {
+      const conflicts = await Webinar.findConflicts(webinar.getStaffUserIds(), [webinar.getTimeWindow()], [webinar._id]);
+      if (conflicts.length) {
+        return sendConflicts(res, conflicts);
+      }
+    }
+
+    // An individually edited occurrence no longer follows its series
+    if (webinar.series) {
+      webinar.isException = true;
+    }
+
+    await webinar.save();
+
+    if (rescheduled) {
+      await notifyWebinarRescheduled(req, webinar);
+    }
+
+    await webinar.populate('host', 'username firstName lastName');
+
+    // More seats may be available for the waitlist
+    if (value.maxParticipants) {
+      const promoted = await Registration.promoteWaitlist(webinar._id);
+      notifyPromotedRegistrations(req, webinar, promoted);
+    }
+
+    logger.info(`Webinar updated: ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Webinar updated successfully',
+      data: webinar
+    });
+
+  } catch (error) {
+    logger.error('Update webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete webinar (admin and host only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && webinar.host.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this webinar'
+      });
+    }
+
+    // Can't delete live webinars
+    if (webinar.status === 'live') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete live webinars'
+      });
+    }
+
+    await deleteWebinars([webinar._id]);
+
+    logger.info(`Webinar deleted: ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Webinar deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Duplicate webinar as a new scheduled webinar (admin only)
+router.post('/:id/duplicate', async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can create webinars'
+      });
+    }
+
+    const source = await Webinar.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    const { error, value } = createWebinarSchema.validate(mergeWebinarFields(pickTemplateFields(source), req.body));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    // The host can't be booked into two webinars at once
+    const conflicts = await Webinar.findConflicts([req.user.id], [toTimeWindow(value.scheduledDate, value.duration)]);
+    if (conflicts.length) {
+      return sendConflicts(res, conflicts);
+    }
+
+    // The copy gets its own room and starts without participants, roles or history
+    const webinar = new Webinar({
+      ...value,
+      host: req.user.id,
+      roomId: uuidv4()
+    });
+
+    await webinar.save();
+    await webinar.populate('host', 'username firstName lastName');
+
+    logger.info(`Webinar duplicated: ${source.title} -> ${webinar._id} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webinar duplicated successfully',
+      data: webinar
+    });
+
+  } catch (error) {
+    logger.error('Duplicate webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel webinar, keeping it (and its history) visible to attendees (admin, host and co-hosts)
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { error, value } = cancelWebinarSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.SCHEDULE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this webinar'
+      });
+    }
+
+    if (webinar.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled webinars can be cancelled'
+      });
+    }
+
+    await webinar.cancel(req.user.id, value.reason);
+
+    // Keep the series from regenerating a cancelled occurrence
+    if (webinar.series) {
+      await WebinarSeries.updateOne(
+        { _id: webinar.series },
+        { $addToSet: { exceptions: webinar.occurrenceDate } }
+      );
+    }
+
+    // Send away anyone already waiting in the lobby
+    const socketHandler = req.app.get('socketHandler');
+    if (socketHandler) {
+      await socketHandler.closeRoom(webinar.roomId, 'Webinar was cancelled');
+    }
+
+    await notifyWebinarCancelled(req, webinar);
+
+    logger.info(`Webinar cancelled: ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Webinar cancelled successfully',
+      data: webinar
+    });
+
+  } catch (error) {
+    logger.error('Cancel webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reschedule webinar (admin, host and co-hosts)
+router.post('/:id/reschedule', async (req, res) => {
+  try {
+    const { error, value } = rescheduleWebinarSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.SCHEDULE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this webinar'
+      });
+    }
+
+    if (webinar.status !== 'scheduled' && webinar.status !== 'missed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only scheduled or missed webinars can be rescheduled'
+      });
+    }
+
+    if (!webinar.reschedule(value, req.user.id, value.reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webinar is already scheduled at this time'
+      });
+    }
+
+    // Nobody staffing the webinar can be booked elsewhere at the new time
+    const conflicts = await Webinar.findConflicts(webinar.getStaffUserIds(), [webinar.getTimeWindow()], [webinar._id]);
+    if (conflicts.length) {
+      return sendConflicts(res, conflicts);
+    }
+
+    // An individually moved occurrence no longer follows its series
+    if (webinar.series) {
+      webinar.isException = true;
+    }
+
+    await webinar.save();
+    await notifyWebinarRescheduled(req, webinar);
+    await webinar.populate('host', 'username firstName lastName');
+
+    logger.info(`Webinar rescheduled: ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Webinar rescheduled successfully',
+      data: webinar
+    });
+
+  } catch (error) {
+    logger.error('Reschedule webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get schedule change history
+router.get('/:id/history', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id)
+      .select('title host isPublic roles status scheduledDate duration cancellation history')
+      .populate('history.changedBy', 'username firstName lastName');
+
+    if (!webinar || !(await webinar.isVisibleTo(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: webinar.status,
+        scheduledDate: webinar.scheduledDate,
+        duration: webinar.duration,
+        cancellation: webinar.cancellation,
+        history: webinar.history
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get webinar history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Start webinar (hosts and co-hosts)
+router.post('/:id/start', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check if user can start the webinar (host or co-host)
+    if (!webinar.can(req.user.id, PERMISSIONS.START)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only hosts can start the webinar'
+      });
+    }
+
+    // Check if webinar is scheduled
+    if (webinar.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Webinar cannot be started'
+      });
+    }
+
+    // One person can't run two live rooms at once
+    const liveConflicts = await Webinar.findLiveFor([webinar.host, req.user.id], [webinar._id]);
+    if (liveConflicts.length) {
+      return sendConflicts(res, liveConflicts, 'Host is already running a live webinar');
+    }
+
+    // Start webinar
+    await webinar.startWebinar();
+    await webinar.populate('host', 'username firstName lastName');
+
+    logger.info(`Webinar started: ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Webinar started successfully',
+      data: webinar
+    });
+
+  } catch (error) {
+    logger.error('Start webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// End webinar (hosts and co-hosts)
+router.post('/:id/end', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check if user can end the webinar (host or co-host)
+    if (!webinar.can(req.user.id, PERMISSIONS.END)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only hosts can end the webinar'
+      });
+    }
+
+    // Check if webinar is live
+    if (webinar.status !== 'live') {
+      return res.status(400).json({
+        success: false,
+        message: 'Webinar is not live'
+      });
+    }
+
+    // End webinar
+    await webinar.endWebinar();
+
+    const socketHandler = req.app.get('socketHandler');
+    if (socketHandler) {
+      await socketHandler.closeRoom(webinar.roomId, 'Webinar ended by host');
+    }
+    await webinar.populate('host', 'username firstName lastName');
+
+    logger.info(`Webinar ended: ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Webinar ended successfully',
       data: webinar
     });
 
   } catch (error) {
-    logger.error('Start webinar error:', error);
+    logger.error('End webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get live webinars
+router.get('/status/live', async (req, res) => {
+  try {
+    const webinars = await Webinar.findLiveWebinars();
+
+    res.json({
+      success: true,
+      data: webinars
+    });
+
+  } catch (error) {
+    logger.error('Get live webinars error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get upcoming webinars
+router.get('/status/upcoming', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const webinars = await Webinar.findUpcomingWebinars(limit);
+
+    res.json({
+      success: true,
+      data: webinars
+    });
+
+  } catch (error) {
+    logger.error('Get upcoming webinars error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Join webinar room (get room details)
+router.post('/:id/join', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id)
+      .populate('host', 'username firstName lastName');
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Determine user role in webinar
+    const participantRole = webinar.getUserRole(req.user.id);
+
+    // Removed users stay out for the duration of their ban
+    if (participantRole !== 'host' && await Ban.findActive(webinar, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You have been removed from this webinar'
+      });
+    }
+
+    // A locked room only lets in hosts, co-hosts and presenters
+    const socketHandler = req.app.get('socketHandler');
+    if (participantRole === 'attendee' && socketHandler &&
+        (await socketHandler.getRoomControls(webinar.roomId)).locked) {
+      return res.status(403).json({
+        success: false,
+        message: 'The room is locked'
+      });
+    }
+
+    // Access rules apply to students without an assigned role in this webinar
+    const restricted = req.user.role === 'student' && participantRole === 'attendee';
+
+    // Redeem an invite link passed along with the join
+    if (restricted && req.body.inviteToken) {
+      await Invitation.redeem(String(req.body.inviteToken), req.user.id, webinar._id);
+    }
+
+    // Students can only join public webinars (or ones they are invited to)
+    if (restricted && !(await webinar.isVisibleTo(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Webinars with requireApproval only let students in once a host approved them
+    let joinRequest = null;
+    if (restricted && webinar.settings.requireApproval &&
+        ['scheduled', 'live'].includes(webinar.status)) {
+      const { request, created } = await JoinRequest.findOrCreate(webinar._id, req.user.id);
+      joinRequest = request;
+
+      if (created && socketHandler) {
+        socketHandler.notifyJoinRequest(webinar, request, req.user);
+      }
+
+      if (request.status === 'rejected') {
+        return res.status(403).json({
+          success: false,
+          message: 'Your request to join was rejected',
+          data: { joinRequest: request }
+        });
+      }
+    }
+
+    const awaitingApproval = Boolean(joinRequest && joinRequest.status === 'pending');
+
+    // Check if webinar is live (students can only join live webinars,
+    // or wait in the lobby of an upcoming one)
+    const canWait = (webinar.settings.waitingRoom || awaitingApproval) && webinar.status === 'scheduled';
+    if (restricted && webinar.status !== 'live' && !canWait) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webinar is not live'
+      });
+    }
+
+    // Confirmed registrants have a reserved seat
+    const isRegistered = await Registration.isConfirmed(webinar._id, req.user.id);
+
+    if (restricted && webinar.settings.registrationRequired && !isRegistered) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is required to join this webinar'
+      });
+    }
+
+    // Check participant limit, with the seats of confirmed registrants held for them
+    const activeParticipants = webinar.participants.filter(p => !p.leftAt);
+    const presentUserIds = activeParticipants.map(p => p.user._id || p.user);
+    if (!(await Registration.hasSeatFor(webinar, req.user.id, isRegistered, presentUserIds))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webinar is full'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: awaitingApproval ? 'Join request is awaiting host approval' : 'Ready to join webinar',
+      data: {
+        webinar: {
+          id: webinar._id,
+          title: webinar.title,
+          description: webinar.description,
+          roomId: webinar.roomId,
+          status: webinar.status,
+          settings: webinar.settings,
+          host: webinar.host,
+          participantCount: activeParticipants.length
+        },
+        participant: {
+          role: participantRole,
+          waitingRoom: awaitingApproval || (webinar.settings.waitingRoom && participantRole === 'attendee'),
+          joinRequest: joinRequest && {
+            id: joinRequest._id,
+            status: joinRequest.status,
+            reviewedAt: joinRequest.reviewedAt
+          },
+          permissions: webinar.getPermissions(req.user.id)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Join webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get ICE servers, with short-lived TURN credentials, for a participant of a live webinar
+router.get('/:id/ice-servers', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    if (webinar.status !== 'live') {
+      return res.status(400).json({
+        success: false,
+        message: 'Webinar is not live'
+      });
+    }
+
+    // Only users currently in the room get relay credentials
+    const inRoom = webinar.participants.some(participant =>
+      participant.user.toString() === req.user.id.toString() && !participant.leftAt
+    );
+
+    if (!inRoom) {
+      return res.status(403).json({
+        success: false,
+        message: 'Join the webinar first'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: getIceServers(req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Get ICE servers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get archived chat messages, newest first (?before=<ISO date> for older pages)
+router.get('/:id/chat', async (req, res) => {
+  try {
+    const { error, value } = chatHistorySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar || !(await webinar.isVisibleTo(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    const messages = await ChatMessage.findPage(webinar._id, value);
+
+    res.json({
+      success: true,
+      data: {
+        messages: messages.map(message => message.toPayload()),
+        hasMore: messages.length === value.limit,
+        nextBefore: messages.length ? messages[messages.length - 1].createdAt : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get chat history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the current user's direct messages, newest first (?with=<userId> for one conversation)
+router.get('/:id/chat/direct', async (req, res) => {
+  try {
+    const { error, value } = directMessagesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar || !(await webinar.isVisibleTo(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    const messages = await ChatMessage.findDirectPage(webinar._id, req.user.id, {
+      withUserId: value.with,
+      before: value.before,
+      limit: value.limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        messages: messages.map(message => message.toPayload()),
+        hasMore: messages.length === value.limit,
+        nextBefore: messages.length ? messages[messages.length - 1].createdAt : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get direct messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Export chat transcript after the session ended (admins, hosts and co-hosts)
+router.get('/:id/chat/transcript', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}`
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.getHostUserIds().includes(req.user.id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export the transcript'
+      });
+    }
+
+    if (webinar.status !== 'ended') {
+      return res.status(400).json({
+        success: false,
+        message: 'Transcript is available once the webinar has ended'
+      });
+    }
+
+    // Direct messages are private to their two parties and never exported
+    const messages = await ChatMessage.find({ webinar: webinar._id, recipient: null, deletedAt: null })
+      .sort({ createdAt: 1 });
+    const transcript = buildTranscript(webinar, messages, format);
+
+    res.set({
+      'Content-Type': transcript.contentType,
+      'Content-Disposition': `attachment; filename="webinar-${webinar._id}-chat.${transcript.extension}"`
+    });
+    res.send(transcript.body);
+
+  } catch (error) {
+    logger.error('Export chat transcript error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Load a webinar for chat moderation, answering 404/403/503 when it can't be moderated
+const findModeratedWebinar = async (req, res) => {
+  const webinar = await Webinar.findById(req.params.id);
+
+  if (!webinar) {
+    res.status(404).json({
+      success: false,
+      message: 'Webinar not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MODERATE_CHAT)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to moderate this chat'
+    });
+    return null;
+  }
+
+  if (!req.app.get('socketHandler')) {
+    res.status(503).json({
+      success: false,
+      message: 'Realtime service unavailable'
+    });
+    return null;
+  }
+
+  return webinar;
+};
+
+// Delete a chat message for everyone (hosts and co-hosts)
+router.delete('/:id/chat/:messageId', async (req, res) => {
+  try {
+    const webinar = await findModeratedWebinar(req, res);
+    if (!webinar) return;
+
+    const message = await req.app.get('socketHandler')
+      .deleteChatMessage(webinar, req.params.messageId, req.user.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete chat message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Pin (PUT) or unpin (DELETE) a chat message (hosts and co-hosts)
+const setPinnedHandler = (pinned) => async (req, res) => {
+  try {
+    const webinar = await findModeratedWebinar(req, res);
+    if (!webinar) return;
+
+    const message = await req.app.get('socketHandler')
+      .setMessagePinned(webinar, req.params.messageId, pinned, req.user.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: pinned ? 'Message pinned successfully' : 'Message unpinned successfully',
+      data: message.toPayload()
+    });
+
+  } catch (error) {
+    logger.error('Pin chat message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+router.put('/:id/chat/:messageId/pin', setPinnedHandler(true));
+router.delete('/:id/chat/:messageId/pin', setPinnedHandler(false));
+
+// Temporarily silence a user in chat (hosts and co-hosts)
+router.put('/:id/chat/mutes/:userId', async (req, res) => {
+  try {
+    const { error, value } = chatMuteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await findModeratedWebinar(req, res);
+    if (!webinar) return;
+
+    if (webinar.can(req.params.userId, PERMISSIONS.MODERATE_CHAT)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot mute a chat moderator'
+      });
+    }
+
+    const until = await req.app.get('socketHandler')
+      .muteFromChat(webinar, req.params.userId, value.duration);
+
+    res.json({
+      success: true,
+      message: 'User muted in chat',
+      data: { userId: req.params.userId, until }
+    });
+
+  } catch (error) {
+    logger.error('Mute chat user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.delete('/:id/chat/mutes/:userId', async (req, res) => {
+  try {
+    const webinar = await findModeratedWebinar(req, res);
+    if (!webinar) return;
+
+    await req.app.get('socketHandler').unmuteFromChat(webinar, req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'User unmuted in chat'
+    });
+
+  } catch (error) {
+    logger.error('Unmute chat user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Replace the blocked-words list, also while the webinar is live (hosts and co-hosts)
+router.put('/:id/chat/blocked-words', async (req, res) => {
+  try {
+    const { error, value } = blockedWordsUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await findModeratedWebinar(req, res);
+    if (!webinar) return;
+
+    webinar.settings.blockedWords = value.words;
+    await webinar.save();
+
+    logger.info(`Blocked words updated for ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Blocked words updated successfully',
+      data: webinar.settings.blockedWords
+    });
+
+  } catch (error) {
+    logger.error('Update blocked words error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get Q&A questions sorted by votes, also for review after the session (?status=open|answered|dismissed)
+router.get('/:id/questions', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar || !(await webinar.isVisibleTo(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    const canManage = req.user.role === 'admin' || webinar.can(req.user.id, PERMISSIONS.MANAGE_QA);
+    const status = ['open', 'answered', 'dismissed'].includes(req.query.status) ? req.query.status : undefined;
+
+    if (status === 'dismissed' && !canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view dismissed questions'
+      });
+    }
+
+    const questions = await Question.findSorted(webinar._id, status);
+
+    res.json({
+      success: true,
+      data: questions
+        .filter(question => question.status !== 'dismissed' || canManage)
+        .map(question => question.toPayload(req.user.id))
+    });
+
+  } catch (error) {
+    logger.error('Get questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Answer (in text or as answered live) or dismiss a question (hosts, co-hosts and presenters)
+router.put('/:id/questions/:questionId', async (req, res) => {
+  try {
+    const { error, value } = updateQuestionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_QA)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage questions'
+      });
+    }
+
+    const socketHandler = req.app.get('socketHandler');
+    if (!socketHandler) {
+      return res.status(503).json({
+        success: false,
+        message: 'Realtime service unavailable'
+      });
+    }
+
+    const question = value.status === 'answered'
+      ? await socketHandler.answerQuestion(webinar, req.params.questionId, req.user.id, value.answer)
+      : await socketHandler.dismissQuestion(webinar, req.params.questionId);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Question updated successfully',
+      data: question.toPayload(req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Update question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create a poll in advance; it stays a draft until launched in the room (hosts and co-hosts)
+router.post('/:id/polls', async (req, res) => {
+  try {
+    const { error, value } = createPollSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_POLLS)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage polls'
+      });
+    }
+
+    if (webinar.status === 'ended' || webinar.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add polls to ended or cancelled webinars'
+      });
+    }
+
+    const poll = await Poll.create({
+      ...value,
+      options: value.options.map(text => ({ text })),
+      webinar: webinar._id,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Poll created successfully',
+      data: poll.toPayload({ includeResults: true })
+    });
+
+  } catch (error) {
+    logger.error('Create poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get polls; hosts also see drafts and hidden results
+router.get('/:id/polls', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar || !(await webinar.isVisibleTo(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    const canManage = req.user.role === 'admin' || webinar.can(req.user.id, PERMISSIONS.MANAGE_POLLS);
+
+    const polls = await Poll.find({
+      webinar: webinar._id,
+      ...(!canManage && { status: { $ne: 'draft' } })
+    }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: polls.map(poll => poll.toPayload({ viewerId: req.user.id, includeResults: canManage }))
+    });
+
+  } catch (error) {
+    logger.error('Get polls error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Export poll results (hosts and co-hosts)
+router.get('/:id/polls/export', async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_POLLS)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export poll results'
+      });
+    }
+
+    const polls = await Poll.find({ webinar: webinar._id, status: { $ne: 'draft' } }).sort({ launchedAt: 1 });
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: polls.map(poll => poll.toPayload({ includeResults: true }))
+      });
+    }
+
+    const rows = [];
+    polls.forEach(poll => {
+      poll.getResults().options.forEach(option => {
+        rows.push({
+          poll: poll.question,
+          type: poll.type,
+          status: poll.status,
+          option: option.text,
+          votes: option.votes,
+          percentage: option.percentage,
+          totalVotes: poll.votes.length
+        });
+      });
+    });
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="webinar-${webinar._id}-polls.csv"`
+    });
+    res.send(toCsv(['poll', 'type', 'status', 'option', 'votes', 'percentage', 'totalVotes'], rows));
+
+  } catch (error) {
+    logger.error('Export polls error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a draft poll (hosts and co-hosts)
+router.put('/:id/polls/:pollId', async (req, res) => {
+  try {
+    const { error, value } = updatePollSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+    const poll = webinar && await Poll.findForWebinar(webinar._id, req.params.pollId);
+
+    if (!poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_POLLS)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage polls'
+      });
+    }
+
+    if (poll.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft polls can be edited'
+      });
+    }
+
+    const { options, ...fields } = value;
+    Object.assign(poll, fields);
+    if (options) {
+      poll.options = options.map(text => ({ text }));
+    }
+
+    await poll.save();
+
+    res.json({
+      success: true,
+      message: 'Poll updated successfully',
+      data: poll.toPayload({ includeResults: true })
+    });
+
+  } catch (error) {
+    logger.error('Update poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a draft poll (hosts and co-hosts)
+router.delete('/:id/polls/:pollId', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+    const poll = webinar && await Poll.findForWebinar(webinar._id, req.params.pollId);
+
+    if (!poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_POLLS)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage polls'
+      });
+    }
+
+    if (poll.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft polls can be deleted'
+      });
+    }
+
+    await Poll.findByIdAndDelete(poll._id);
+
+    res.json({
+      success: true,
+      message: 'Poll deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create a quiz in advance; it stays a draft until launched in the room (hosts and co-hosts)
+router.post('/:id/quizzes', async (req, res) => {
+  try {
+    const { error, value } = createQuizSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_QUIZZES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage quizzes'
+      });
+    }
+
+    if (webinar.status === 'ended' || webinar.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add quizzes to ended or cancelled webinars'
+      });
+    }
+
+    const quiz = await Quiz.create({
+      ...value,
+      questions: Quiz.buildQuestions(value.questions),
+      webinar: webinar._id,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz created successfully',
+      data: quiz.toPayload({ includeAnswers: true })
+    });
+
+  } catch (error) {
+    logger.error('Create quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get quizzes; hosts also see drafts and correct answers, students their own results
+router.get('/:id/quizzes', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar || !(await webinar.isVisibleTo(req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    const canManage = req.user.role === 'admin' || webinar.can(req.user.id, PERMISSIONS.MANAGE_QUIZZES);
+
+    const quizzes = await Quiz.find({
+      webinar: webinar._id,
+      ...(!canManage && { status: { $ne: 'draft' } })
+    }).sort({ createdAt: 1 });
+
+    const attempts = await QuizAttempt.find({
+      quiz: { $in: quizzes.map(quiz => quiz._id) },
+      ...(!canManage && { user: req.user.id })
+    });
+
+    res.json({
+      success: true,
+      data: quizzes.map(quiz => {
+        const quizAttempts = attempts.filter(attempt => attempt.quiz.toString() === quiz._id.toString());
+        const payload = quiz.toPayload({ includeAnswers: canManage });
+
+        if (canManage) {
+          return { ...payload, submissions: quizAttempts.length };
+        }
+
+        const [attempt] = quizAttempts;
+        return {
+          ...payload,
+          myAttempt: attempt ? {
+            score: attempt.score,
+            maxScore: attempt.maxScore,
+            submittedAt: attempt.submittedAt,
+            // Per-question results only once the answers are public
+            ...(quiz.status === 'closed' && { answers: attempt.answers })
+          } : null
+        };
+      })
+    });
+
+  } catch (error) {
+    logger.error('Get quizzes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a draft quiz (hosts and co-hosts)
+router.put('/:id/quizzes/:quizId', async (req, res) => {
+  try {
+    const { error, value } = updateQuizSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+    const quiz = webinar && await Quiz.findForWebinar(webinar._id, req.params.quizId);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_QUIZZES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage quizzes'
+      });
+    }
+
+    if (quiz.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft quizzes can be edited'
+      });
+    }
+
+    const { questions, timeLimit, ...fields } = value;
+    Object.assign(quiz, fields);
+    if (questions) {
+      quiz.questions = Quiz.buildQuestions(questions);
+    }
+    if (timeLimit !== undefined) {
+      quiz.timeLimit = timeLimit || undefined; // null removes the limit
+    }
+
+    await quiz.save();
+
+    res.json({
+      success: true,
+      message: 'Quiz updated successfully',
+      data: quiz.toPayload({ includeAnswers: true })
+    });
+
+  } catch (error) {
+    logger.error('Update quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a draft quiz (hosts and co-hosts)
+router.delete('/:id/quizzes/:quizId', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+    const quiz = webinar && await Quiz.findForWebinar(webinar._id, req.params.quizId);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_QUIZZES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage quizzes'
+      });
+    }
+
+    if (quiz.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft quizzes can be deleted'
+      });
+    }
+
+    await Quiz.findByIdAndDelete(quiz._id);
+
+    res.json({
+      success: true,
+      message: 'Quiz deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the gradebook: every student's score per quiz (admins, hosts and co-hosts; ?format=csv)
+router.get('/:id/gradebook', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_QUIZZES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the gradebook'
+      });
+    }
+
+    const quizzes = await Quiz.find({ webinar: webinar._id, status: { $ne: 'draft' } }).sort({ launchedAt: 1 });
+    const attempts = await QuizAttempt.find({ quiz: { $in: quizzes.map(quiz => quiz._id) } });
+
+    // Students who attended or submitted; staff don't take quizzes
+    const staffIds = webinar.getStaffUserIds();
+    const studentIds = [...new Set([
+      ...webinar.participants.map(p => p.user.toString()),
+      ...attempts.map(attempt => attempt.user.toString())
+    ])].filter(id => !staffIds.includes(id));
+
+    const students = await User.find({ _id: { $in: studentIds } }).select('username firstName lastName email');
+    const maxScore = quizzes.reduce((total, quiz) => total + quiz.getMaxScore(), 0);
+
+    const rows = students.map(student => {
+      const scores = {};
+      let total = 0;
+
+      quizzes.forEach(quiz => {
+        const attempt = attempts.find(a =>
+          a.quiz.toString() === quiz._id.toString() && a.user.toString() === student._id.toString()
+        );
+        scores[quiz._id] = attempt ? attempt.score : null;
+        total += attempt ? attempt.score : 0;
+      });
+
+      return {
+        userId: student._id,
+        username: student.username,
+        firstName: student.firstName,
+        lastName: student.lastName,
+        email: student.email,
+        scores,
+        total,
+        maxScore,
+        percentage: maxScore ? Math.round((total / maxScore) * 100) : 0
+      };
+    }).sort((a, b) => a.username.localeCompare(b.username));
+
+    if (req.query.format === 'csv') {
+      const quizColumns = quizzes.map((quiz, index) => `${index + 1}. ${quiz.title} (${quiz.getMaxScore()})`);
+      const columns = ['username', 'firstName', 'lastName', 'email', ...quizColumns, 'total', 'maxScore', 'percentage'];
+
+      const csvRows = rows.map(row => {
+        const csvRow = { ...row };
+        quizzes.forEach((quiz, index) => {
+          csvRow[quizColumns[index]] = row.scores[quiz._id];
+        });
+        return csvRow;
+      });
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="webinar-${webinar._id}-gradebook.csv"`
+      });
+      return res.send(toCsv(columns, csvRows));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        quizzes: quizzes.map(quiz => ({
+          id: quiz._id,
+          title: quiz.title,
+          status: quiz.status,
+          maxScore: quiz.getMaxScore(),
+          submissions: attempts.filter(a => a.quiz.toString() === quiz._id.toString()).length
+        })),
+        students: rows
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get gradebook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Register for a webinar (confirmed seat or waitlist)
+router.post('/:id/register', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Students can only register for webinars they can see
+    if (!(await webinar.isVisibleTo(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (webinar.host.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hosts cannot register for their own webinar'
+      });
+    }
+
+    if (webinar.status !== 'scheduled' && webinar.status !== 'live') {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration is closed for this webinar'
+      });
+    }
+
+    const registration = await Registration.register(webinar._id, req.user.id);
+    const waitlistPosition = await registration.getWaitlistPosition();
+
+    logger.info(`User ${req.user.username} registered for ${webinar.title} (${registration.status})`);
+
+    res.status(201).json({
+      success: true,
+      message: registration.status === 'confirmed'
+        ? 'Registration confirmed'
+        : 'Webinar is full, you have been added to the waitlist',
+      data: {
+        registration,
+        waitlistPosition
+      }
+    });
+
+  } catch (error) {
+    logger.error('Register for webinar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get current user's registration for a webinar
+router.get('/:id/register', async (req, res) => {
+  try {
+    const registration = await Registration.findOne({
+      webinar: req.params.id,
+      user: req.user.id
+    });
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Not registered for this webinar'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        registration,
+        waitlistPosition: await registration.getWaitlistPosition()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Cancel current user's registration
+router.delete('/:id/register', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+    const registration = webinar && await Registration.findOne({
+      webinar: webinar._id,
+      user: req.user.id,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Not registered for this webinar'
+      });
+    }
+
+    await registration.cancel();
+
+    // Freed seat goes to the waitlist
+    const promoted = await Registration.promoteWaitlist(webinar._id);
+    notifyPromotedRegistrations(req, webinar, promoted);
+
+    logger.info(`User ${req.user.username} cancelled registration for ${webinar.title}`);
+
+    res.json({
+      success: true,
+      message: 'Registration cancelled successfully'
+    });
+
+  } catch (error) {
+    logger.error('Cancel registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get registrant list (admins, hosts and co-hosts)
+router.get('/:id/registrations', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_LOBBY)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view registrations'
+      });
+    }
+
+    let query = { webinar: webinar._id };
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const registrations = await Registration.find(query)
+      .populate('user', 'username firstName lastName email')
+      .sort({ registeredAt: 1 });
+
+    const waitlisted = await Registration.countDocuments({ webinar: webinar._id, status: 'waitlisted' });
+
+    res.json({
+      success: true,
+      data: {
+        registrations,
+        summary: {
+          capacity: webinar.maxParticipants,
+          confirmed: webinar.registeredCount,
+          waitlisted
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Request to join an approval-gated webinar ahead of time
+router.post('/:id/join-requests', async (req, res) => {
+  try {
+    const { error, value } = createJoinRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Students can only request access to webinars they can see
+    if (!(await webinar.isVisibleTo(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!webinar.settings.requireApproval) {
+      return res.status(400).json({
+        success: false,
+        message: 'This webinar does not require approval'
+      });
+    }
+
+    if (webinar.host.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hosts do not need approval for their own webinar'
+      });
+    }
+
+    if (webinar.status !== 'scheduled' && webinar.status !== 'live') {
+      return res.status(400).json({
+        success: false,
+        message: 'Webinar is no longer accepting join requests'
+      });
+    }
+
+    const { request, created } = await JoinRequest.findOrCreate(webinar._id, req.user.id, value.message);
+
+    const socketHandler = req.app.get('socketHandler');
+    if (created && socketHandler) {
+      socketHandler.notifyJoinRequest(webinar, request, req.user);
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Join request submitted' : 'Join request already exists',
+      data: request
+    });
+
+  } catch (error) {
+    logger.error('Create join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get current user's join request
+router.get('/:id/join-requests/me', async (req, res) => {
+  try {
+    const request = await JoinRequest.findOne({
+      webinar: req.params.id,
+      user: req.user.id
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+
+  } catch (error) {
+    logger.error('Get join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get join requests (admins, hosts and co-hosts)
+router.get('/:id/join-requests', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_LOBBY)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view join requests'
+      });
+    }
+
+    let query = { webinar: webinar._id };
+
+    // Filter by status
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const requests = await JoinRequest.find(query)
+      .populate('user', 'username firstName lastName email')
+      .populate('reviewedBy', 'username firstName lastName')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: requests
+    });
+
+  } catch (error) {
+    logger.error('Get join requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve or reject a join request (admins, hosts and co-hosts)
+router.put('/:id/join-requests/:requestId', async (req, res) => {
+  try {
+    const { error, value } = reviewJoinRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id)
+      .populate('host', 'username firstName lastName');
+    const request = webinar && await JoinRequest.findOne({
+      _id: req.params.requestId,
+      webinar: webinar._id
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.MANAGE_LOBBY)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review join requests'
+      });
+    }
+
+    await request.review(value.status, req.user.id, value.reason);
+
+    // Let the user in (or out of the lobby) if they are already waiting
+    const socketHandler = req.app.get('socketHandler');
+    if (socketHandler) {
+      await socketHandler.applyJoinRequestDecision(webinar, request);
+    }
+
+    logger.info(`Join request ${request._id} ${value.status} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `Join request ${value.status}`,
+      data: request
+    });
+
+  } catch (error) {
+    logger.error('Review join request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get assigned co-hosts and presenters
+router.get('/:id/roles', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id)
+      .populate('roles.user', 'username firstName lastName');
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Students can only view public webinars (or ones they have a role in or are invited to)
+    if (!(await webinar.isVisibleTo(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webinar.roles
+    });
+
+  } catch (error) {
+    logger.error('Get webinar roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Assign a co-host or presenter (admin and host only)
+router.put('/:id/roles/:userId', async (req, res) => {
+  try {
+    const { error, value } = assignRoleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.ASSIGN_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to assign roles'
+      });
+    }
+
+    if (webinar.status === 'ended' || webinar.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot assign roles for ended or cancelled webinars'
+      });
+    }
+
+    if (webinar.host.toString() === req.params.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the host'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Co-hosts and presenters can't be booked into overlapping webinars
+    const conflicts = webinar.status === 'live'
+      ? await Webinar.findLiveFor([user._id], [webinar._id])
+      : await Webinar.findConflicts([user._id], [webinar.getTimeWindow()], [webinar._id]);
+    if (conflicts.length) {
+      return sendConflicts(res, conflicts, `${user.username} is booked in another webinar at this time`);
+    }
+
+    webinar.assignRole(user._id, value.role, req.user.id);
+    await webinar.save();
+
+    // Apply immediately if the session is running
+    const socketHandler = req.app.get('socketHandler');
+    if (webinar.status === 'live' && socketHandler) {
+      await socketHandler.applyRoleChange(webinar, user._id.toString());
+    }
+
+    await webinar.populate('roles.user', 'username firstName lastName');
+
+    logger.info(`User ${user.username} assigned as ${value.role} for ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Role assigned successfully',
+      data: webinar.roles
+    });
+
+  } catch (error) {
+    logger.error('Assign webinar role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove a co-host or presenter role (admin and host only)
+router.delete('/:id/roles/:userId', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.ASSIGN_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to assign roles'
+      });
+    }
+
+    if (webinar.getUserRole(req.params.userId) === 'attendee') {
+      return res.status(404).json({
+        success: false,
+        message: 'User has no assigned role'
+      });
+    }
+
+    webinar.unassignRole(req.params.userId);
+    await webinar.save();
+
+    const socketHandler = req.app.get('socketHandler');
+    if (webinar.status === 'live' && socketHandler) {
+      await socketHandler.applyRoleChange(webinar, req.params.userId);
+    }
+
+    logger.info(`Role of user ${req.params.userId} removed for ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Role removed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Remove webinar role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Hand host controls of a live session to another participant in the room
+// (admins, the active host, and the owner, who can also take them back)
+router.post('/:id/host', async (req, res) => {
+  try {
+    const { error, value } = transferHostSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && webinar.getActiveHostId() !== req.user.id.toString() &&
+        webinar.host.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host can hand over host controls'
+      });
+    }
+
+    if (webinar.status !== 'live') {
+      return res.status(400).json({
+        success: false,
+        message: 'Webinar is not live'
+      });
+    }
+
+    const socketHandler = req.app.get('socketHandler');
+    if (!socketHandler) {
+      return res.status(503).json({
+        success: false,
+        message: 'Realtime service unavailable'
+      });
+    }
+
+    if (!(await socketHandler.isUserInRoom(webinar.roomId, value.userId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new host must be in the room'
+      });
+    }
+
+    if (webinar.getActiveHostId() !== value.userId) {
+      await socketHandler.transferHost(webinar, value.userId, req.user.id);
+    }
+
+    logger.info(`Host controls of ${webinar.title} handed to ${value.userId} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Host controls handed over successfully',
+      data: { activeHost: webinar.getActiveHostId() }
+    });
+
+  } catch (error) {
+    logger.error('Transfer host error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -365,9 +3917,25 @@ router.post('/:id/start', async (req, res) => {
   }
 });
 
-// End webinar (host only)
-router.post('/:id/end', async (req, res) => {
+// Remove a participant from the room, optionally banning them (admins, hosts and co-hosts)
+router.post('/:id/participants/:userId/remove', async (req, res) => {
   try {
+    if (userIdParamSchema.validate(req.params.userId).error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    const { error, value } = removeParticipantSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
     const webinar = await Webinar.findById(req.params.id);
 
     if (!webinar) {
@@ -377,36 +3945,53 @@ router.post('/:id/end', async (req, res) => {
       });
     }
 
-    // Check if user is the host
-    if (webinar.host.toString() !== req.user.id.toString()) {
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.REMOVE)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the host can end the webinar'
+        message: 'Not authorized to remove participants'
       });
     }
 
-    // Check if webinar is live
-    if (webinar.status !== 'live') {
+    if (value.ban === 'host' && req.user.role !== 'admin' &&
+        !webinar.can(req.user.id, PERMISSIONS.ASSIGN_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the host can ban from all of their webinars'
+      });
+    }
+
+    if (webinar.isHostUser(req.params.userId)) {
       return res.status(400).json({
         success: false,
-        message: 'Webinar is not live'
+        message: 'Cannot remove the host'
       });
     }
 
-    // End webinar
-    await webinar.endWebinar();
-    await webinar.populate('host', 'username firstName lastName');
+    if (req.user.role !== 'admin' && !webinar.outranks(req.user.id, req.params.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot remove a participant with the same or a higher role'
+      });
+    }
 
-    logger.info(`Webinar ended: ${webinar.title} by ${req.user.username}`);
+    const socketHandler = req.app.get('socketHandler');
+    if (!socketHandler) {
+      return res.status(503).json({
+        success: false,
+        message: 'Realtime service unavailable'
+      });
+    }
+
+    await socketHandler.removeParticipant(webinar, req.params.userId, value, req.user.id);
 
     res.json({
       success: true,
-      message: 'Webinar ended successfully',
-      data: webinar
+      message: value.ban ? 'Participant removed and banned' : 'Participant removed'
     });
 
   } catch (error) {
-    logger.error('End webinar error:', error);
+    logger.error('Remove participant error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -414,18 +3999,38 @@ router.post('/:id/end', async (req, res) => {
   }
 });
 
-// Get live webinars
-router.get('/status/live', async (req, res) => {
+// Get bans that apply to this webinar, including the host's host-wide bans (admins, hosts and co-hosts)
+router.get('/:id/bans', async (req, res) => {
   try {
-    const webinars = await Webinar.findLiveWebinars();
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.REMOVE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view bans'
+      });
+    }
+
+    const bans = await Ban.find(Ban.forWebinarQuery(webinar))
+      .populate('user', 'username firstName lastName email')
+      .populate('bannedBy', 'username firstName lastName')
+      .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      data: webinars
+      data: bans
     });
 
   } catch (error) {
-    logger.error('Get live webinars error:', error);
+    logger.error('Get bans error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -433,19 +4038,39 @@ router.get('/status/live', async (req, res) => {
   }
 });
 
-// Get upcoming webinars
-router.get('/status/upcoming', async (req, res) => {
+// Lift a ban (admins, hosts and co-hosts; host-wide bans only by the host)
+router.delete('/:id/bans/:banId', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const webinars = await Webinar.findUpcomingWebinars(limit);
+    const webinar = await Webinar.findById(req.params.id);
+    const ban = webinar && await Ban.findForWebinar(webinar, req.params.banId);
+
+    if (!ban) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ban not found'
+      });
+    }
+
+    // Check permissions
+    const permission = ban.scope === 'host' ? PERMISSIONS.ASSIGN_ROLES : PERMISSIONS.REMOVE;
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to lift this ban'
+      });
+    }
+
+    await ban.deleteOne();
+
+    logger.info(`Ban ${ban._id} lifted for ${webinar.title} by ${req.user.username}`);
 
     res.json({
       success: true,
-      data: webinars
+      message: 'Ban lifted successfully'
     });
 
   } catch (error) {
-    logger.error('Get upcoming webinars error:', error);
+    logger.error('Lift ban error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -453,11 +4078,22 @@ router.get('/status/upcoming', async (req, res) => {
   }
 });
 
-// Join webinar room (get room details)
-router.post('/:id/join', async (req, res) => {
+// Build the shareable URL for an invite token
+const getInviteUrl = (webinar, token) => `${APP_URL}/webinars/${webinar._id}?invite=${token}`;
+
+// Invite a user, an email address, or create an invite link (hosts and co-hosts)
+router.post('/:id/invitations', async (req, res) => {
   try {
-    const webinar = await Webinar.findById(req.params.id)
-      .populate('host', 'username firstName lastName');
+    const { error, value } = createInvitationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+
+    const webinar = await Webinar.findById(req.params.id);
 
     if (!webinar) {
       return res.status(404).json({
@@ -466,65 +4102,211 @@ router.post('/:id/join', async (req, res) => {
       });
     }
 
-    // Students can only join public webinars
-    if (req.user.role === 'student' && !webinar.isPublic) {
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.INVITE)) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied'
+        message: 'Not authorized to invite to this webinar'
       });
     }
 
-    // Check if webinar is live (students can only join live webinars)
-    if (req.user.role === 'student' && webinar.status !== 'live') {
+    if (webinar.status !== 'scheduled' && webinar.status !== 'live') {
       return res.status(400).json({
         success: false,
-        message: 'Webinar is not live'
+        message: 'Cannot invite to ended or cancelled webinars'
       });
     }
 
-    // Check participant limit
-    const activeParticipants = webinar.participants.filter(p => !p.leftAt).length;
-    if (activeParticipants >= webinar.maxParticipants) {
-      return res.status(400).json({
+    let invitation;
+
+    if (value.userId) {
+      const user = await User.findById(value.userId);
+      if (!user || !user.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      invitation = await Invitation.findOne({ webinar: webinar._id, user: user._id, revokedAt: null });
+      if (!invitation) {
+        invitation = await Invitation.create({
+          webinar: webinar._id,
+          type: 'user',
+          user: user._id,
+          createdBy: req.user.id
+        });
+      }
+
+      await notifyUsers(req.app.get('io'), [user._id], 'webinar-invitation', {
+        webinarId: webinar._id,
+        title: webinar.title,
+        scheduledDate: webinar.scheduledDate,
+        invitedBy: req.user.username
+      }, {
+        subject: `Invitation: ${webinar.title}`,
+        text: `${req.user.username} invited you to "${webinar.title}" on ${webinar.scheduledDate.toUTCString()}.\n\n${APP_URL}/webinars/${webinar._id}`
+      });
+    } else {
+      // Email invitations carry a single-use token for the address owner
+      invitation = await Invitation.create({
+        webinar: webinar._id,
+        type: value.email ? 'email' : 'link',
+        email: value.email,
+        token: Invitation.generateToken(),
+        createdBy: req.user.id,
+        expiresAt: value.expiresAt,
+        maxUses: value.email ? 1 : value.maxUses
+      });
+
+      if (value.email) {
+        await sendEmail({
+          to: value.email,
+          subject: `Invitation: ${webinar.title}`,
+          text: `${req.user.username} invited you to "${webinar.title}" on ${webinar.scheduledDate.toUTCString()}.\n\nJoin with this link: ${getInviteUrl(webinar, invitation.token)}`
+        });
+      }
+    }
+
+    logger.info(`Invitation (${invitation.type}) created for ${webinar.title} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created successfully',
+      data: {
+        invitation,
+        inviteUrl: invitation.token ? getInviteUrl(webinar, invitation.token) : undefined
+      }
+    });
+
+  } catch (error) {
+    logger.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get invitations (hosts and co-hosts)
+router.get('/:id/invitations', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+
+    if (!webinar) {
+      return res.status(404).json({
         success: false,
-        message: 'Webinar is full'
+        message: 'Webinar not found'
       });
     }
 
-    // Determine user role in webinar
-    let participantRole = 'attendee';
-    if (webinar.host._id.toString() === req.user.id.toString()) {
-      participantRole = 'host';
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.INVITE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view invitations'
+      });
     }
 
+    let query = { webinar: webinar._id };
+
+    // Revoked invitations are hidden unless asked for
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('user', 'username firstName lastName email')
+      .populate('createdBy', 'username firstName lastName')
+      .sort({ createdAt: -1 });
+
     res.json({
       success: true,
-      message: 'Ready to join webinar',
-      data: {
-        webinar: {
-          id: webinar._id,
-          title: webinar.title,
-          description: webinar.description,
-          roomId: webinar.roomId,
-          status: webinar.status,
-          settings: webinar.settings,
-          host: webinar.host,
-          participantCount: activeParticipants
-        },
-        participant: {
-          role: participantRole,
-          permissions: {
-            canPresent: participantRole === 'host',
-            canShareScreen: participantRole === 'host' || webinar.settings.allowScreenShare,
-            canChat: webinar.settings.allowChat,
-            canReact: webinar.settings.allowReactions
-          }
-        }
-      }
+      data: invitations.map(invitation => ({
+        ...invitation.toObject({ virtuals: true }),
+        inviteUrl: invitation.token ? getInviteUrl(webinar, invitation.token) : undefined
+      }))
     });
 
   } catch (error) {
-    logger.error('Join webinar error:', error);
+    logger.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke an invitation (hosts and co-hosts)
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const webinar = await Webinar.findById(req.params.id);
+    const invitation = webinar && await Invitation.findOne({
+      _id: req.params.invitationId,
+      webinar: webinar._id
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    // Check permissions
+    if (req.user.role !== 'admin' && !webinar.can(req.user.id, PERMISSIONS.INVITE)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to revoke invitations'
+      });
+    }
+
+    if (!invitation.revokedAt) {
+      invitation.revokedAt = new Date();
+      await invitation.save();
+    }
+
+    logger.info(`Invitation ${invitation._id} revoked for ${webinar.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Accept an invite link or emailed invitation
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const invitation = await Invitation.redeem(req.params.token, req.user.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const webinar = await Webinar.findById(invitation.webinar)
+      .populate('host', 'username firstName lastName');
+
+    logger.info(`Invitation ${invitation._id} accepted by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      data: webinar
+    });
+
+  } catch (error) {
+    logger.error('Accept invitation error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
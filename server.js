@@ -12,11 +12,15 @@ const { connectRedis, getRedisClient, closeRedis } = require('./config/redis');
 // Import socket handler
 const socketHandler = require('./socket/socketHandler');
 
+// Import background jobs
+const startWebinarLifecycle = require('./jobs/webinarLifecycle');
+
 // Import logger
 const logger = require('./utils/logger');
 
 const server = http.createServer(app);
 const PORT = process.env.PORT || 5000;
+let lifecycleScheduler = null;
 
 // Socket.IO setup
 const io = socketIo(server, {
@@ -30,6 +34,9 @@ const io = socketIo(server, {
   pingInterval: 25000
 });
 
+// Let routes emit to socket rooms (e.g. user:<id> notifications)
+app.set('io', io);
+
 // Initialize server
 async function startServer() {
   try {
@@ -40,7 +47,11 @@ async function startServer() {
     
     // Initialize Socket.IO handler with Redis client
     const redisClient = getRedisClient();
-    socketHandler(io, redisClient);
+    const handler = socketHandler(io, redisClient);
+    app.set('socketHandler', handler);
+
+    // Start webinar lifecycle jobs (auto start/end, missed webinars)
+    lifecycleScheduler = startWebinarLifecycle(redisClient, handler);
     
     // Start server
     server.listen(PORT, () => {
@@ -66,6 +77,11 @@ const gracefulShutdown = async (signal) => {
       logger.info('HTTP server closed');
     });
 
+    // Stop background jobs
+    if (lifecycleScheduler) {
+      lifecycleScheduler.stop();
+    }
+
     // Close Socket.IO server
     io.close(() => {
       logger.info('Socket.IO server closed');
@@ -1,17 +1,91 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Webinar = require('../models/Webinar');
+const Registration = require('../models/Registration');
+const JoinRequest = require('../models/JoinRequest');
+const Invitation = require('../models/Invitation');
+const Ban = require('../models/Ban');
+const { BAN_SCOPES } = Ban;
+const ChatMessage = require('../models/ChatMessage');
+const Question = require('../models/Question');
+const Poll = require('../models/Poll');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { PERMISSIONS, ASSIGNABLE_ROLES } = require('../utils/permissions');
+const { findBlockedWord } = require('../utils/chatFilter');
 const logger = require('../utils/logger');
 
 // Redis keys
 const ROOM_PRESENCE_KEY = (roomId) => `room:${roomId}:presence`;
 const ROOM_CHAT_KEY = (roomId) => `room:${roomId}:chat`;
+const ROOM_CHAT_WARM_KEY = (roomId) => `room:${roomId}:chat:warm`; // set while the chat cache holds the archive
+const ROOM_LOBBY_KEY = (roomId) => `room:${roomId}:lobby`;
+const ROOM_ADMITTED_KEY = (roomId) => `room:${roomId}:admitted`;
+const ROOM_CONTROLS_KEY = (roomId) => `room:${roomId}:controls`; // hash of room-wide host controls
+const ROOM_UNMUTE_ALLOWED_KEY = (roomId) => `room:${roomId}:unmute-allowed`;
+const ROOM_BREAKOUTS_KEY = (roomId) => `room:${roomId}:breakouts`;
+// Breakout rooms get their own socket.io room, presence set and chat cache under this id
+const BREAKOUT_ROOM_ID = (roomId, breakoutId) => `${roomId}:breakout:${breakoutId}`;
+const ROOM_HOST_GRACE_KEY = (roomId) => `room:${roomId}:host-grace`; // ISO date the grace period ends
+const HOST_GRACE_DEADLINES_KEY = 'host-grace:deadlines'; // sorted set of room ids, scored by grace end
+const ROOM_STAGE_KEY = (roomId) => `room:${roomId}:stage`; // attendees brought on stage
+const ROOM_SPOTLIGHT_KEY = (roomId) => `room:${roomId}:spotlight`;
+const ROOM_SCREEN_SHARE_KEY = (roomId) => `room:${roomId}:screenshare`; // user id of the active sharer
+const ROOM_SCREEN_SHARE_REQUEST_KEY = (roomId) => `room:${roomId}:screenshare:request`;
+const ROOM_HANDS_KEY = (roomId) => `room:${roomId}:hands`; // sorted set, scored by raise time
+const SPEAKER_GRANT_KEY = (roomId, userId) => `room:${roomId}:grant:${userId}`;
+const CHAT_MUTE_KEY = (roomId, userId) => `room:${roomId}:chatmute:${userId}`;
 const RATE_LIMIT_KEY = (userId, action) => `ratelimit:${userId}:${action}`;
 
+// Socket.IO channels
+const LOBBY_CHANNEL = (roomId) => `lobby:${roomId}`;
+const HOSTS_CHANNEL = (roomId) => `hosts:${roomId}`;
+
+const ADMITTED_TTL_SECONDS = 24 * 60 * 60;
+
+// Redis only caches the most recent chat; the full archive lives in MongoDB
+const CHAT_CACHE_SIZE = 100;
+const CHAT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+const POLL_RESULTS_INTERVAL_MS = 1000;
+const QUIZ_CLOSE_GRACE_MS = 5 * 1000; // matches the submission grace in the Quiz model
+
+// Permissions a host can hand out temporarily when calling on a raised hand
+const SPEAKER_GRANTS = ['audio', 'screenShare'];
+const DEFAULT_SPEAKER_GRANT_SECONDS = 5 * 60;
+const MAX_SPEAKER_GRANT_SECONDS = 60 * 60;
+
+const SCREEN_SHARE_REQUEST_TTL_SECONDS = 60;
+
+const MAX_BREAKOUT_ROOMS = 50;
+const MAX_BREAKOUT_DURATION_SECONDS = 4 * 60 * 60;
+const MAX_BREAKOUT_RECALL_COUNTDOWN_SECONDS = 5 * 60;
+const BREAKOUT_STATE_TTL_SECONDS = 24 * 60 * 60;
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const DEFAULT_CHAT_MUTE_SECONDS = 5 * 60;
+const MAX_CHAT_MUTE_SECONDS = 24 * 60 * 60;
+
+// Errors for users whose webinar role lacks the permission for a socket action
+const PERMISSION_DENIED_MESSAGES = {
+  [PERMISSIONS.MODERATE_CHAT]: 'Only hosts can moderate the chat',
+  [PERMISSIONS.MANAGE_QA]: 'Only hosts and presenters can manage questions',
+  [PERMISSIONS.MANAGE_POLLS]: 'Only hosts can manage polls',
+  [PERMISSIONS.MANAGE_QUIZZES]: 'Only hosts can manage quizzes',
+  [PERMISSIONS.MANAGE_HANDS]: 'Only hosts and presenters can manage raised hands',
+  [PERMISSIONS.MANAGE_STAGE]: 'Only hosts and co-hosts can manage the stage',
+  [PERMISSIONS.MANAGE_BREAKOUTS]: 'Only hosts and co-hosts can manage breakout rooms'
+};
+
 class SocketHandler {
   constructor(io, redisClient) {
     this.io = io;
     this.redis = redisClient;
+    this.pollResultTimers = new Map();
+    this.quizTimers = new Map();
+    this.breakoutTimers = new Map();
+    this.hostGraceTimers = new Map();
     this.setupSocketHandlers();
   }
 
@@ -53,6 +127,14 @@ class SocketHandler {
     socket.on('join-room', this.handleJoinRoom.bind(this, socket));
     socket.on('leave-room', this.handleLeaveRoom.bind(this, socket));
 
+    // Waiting room (hosts and co-hosts)
+    socket.on('get-waiting-room', this.handleGetWaitingRoom.bind(this, socket));
+    socket.on('admit-participant', this.handleAdmitParticipant.bind(this, socket));
+    socket.on('admit-all', this.handleAdmitAll.bind(this, socket));
+    socket.on('deny-participant', this.handleDenyParticipant.bind(this, socket));
+    socket.on('approve-join-request', this.handleReviewJoinRequest.bind(this, socket, 'approved'));
+    socket.on('reject-join-request', this.handleReviewJoinRequest.bind(this, socket, 'rejected'));
+
     // WebRTC signaling
     socket.on('offer', this.handleOffer.bind(this, socket));
     socket.on('answer', this.handleAnswer.bind(this, socket));
@@ -63,19 +145,79 @@ class SocketHandler {
     socket.on('toggle-video', this.handleToggleVideo.bind(this, socket));
     socket.on('start-screen-share', this.handleStartScreenShare.bind(this, socket));
     socket.on('stop-screen-share', this.handleStopScreenShare.bind(this, socket));
+    socket.on('request-screen-share-takeover', this.handleRequestScreenShareTakeover.bind(this, socket));
+    socket.on('respond-screen-share-takeover', this.handleRespondScreenShareTakeover.bind(this, socket));
+    socket.on('force-stop-screen-share', this.handleForceStopScreenShare.bind(this, socket));
 
     // Chat and reactions
     socket.on('send-message', this.handleSendMessage.bind(this, socket));
+    socket.on('send-direct-message', this.handleSendDirectMessage.bind(this, socket));
     socket.on('send-reaction', this.handleSendReaction.bind(this, socket));
 
+    // Chat moderation (hosts and co-hosts)
+    socket.on('delete-message', this.handleDeleteMessage.bind(this, socket));
+    socket.on('pin-message', this.handlePinMessage.bind(this, socket, true));
+    socket.on('unpin-message', this.handlePinMessage.bind(this, socket, false));
+    socket.on('mute-chat-user', this.handleMuteChatUser.bind(this, socket));
+    socket.on('unmute-chat-user', this.handleUnmuteChatUser.bind(this, socket));
+
+    // Q&A
+    socket.on('submit-question', this.handleSubmitQuestion.bind(this, socket));
+    socket.on('upvote-question', this.handleUpvoteQuestion.bind(this, socket, true));
+    socket.on('remove-question-upvote', this.handleUpvoteQuestion.bind(this, socket, false));
+    socket.on('answer-question', this.handleAnswerQuestion.bind(this, socket));
+    socket.on('dismiss-question', this.handleDismissQuestion.bind(this, socket));
+    socket.on('highlight-question', this.handleHighlightQuestion.bind(this, socket));
+
+    // Polls (created, launched and closed by hosts and co-hosts)
+    socket.on('create-poll', this.handleCreatePoll.bind(this, socket));
+    socket.on('launch-poll', this.handleLaunchPoll.bind(this, socket));
+    socket.on('close-poll', this.handleClosePoll.bind(this, socket));
+    socket.on('vote-poll', this.handleVotePoll.bind(this, socket));
+
+    // Quizzes (launched and closed by hosts and co-hosts)
+    socket.on('launch-quiz', this.handleLaunchQuiz.bind(this, socket));
+    socket.on('close-quiz', this.handleCloseQuiz.bind(this, socket));
+    socket.on('submit-quiz', this.handleSubmitQuiz.bind(this, socket));
+
     // Hand raise
     socket.on('raise-hand', this.handleRaiseHand.bind(this, socket));
     socket.on('lower-hand', this.handleLowerHand.bind(this, socket));
+    socket.on('get-hand-queue', this.handleGetHandQueue.bind(this, socket));
+    socket.on('call-next-hand', this.handleCallNextHand.bind(this, socket));
+    socket.on('lower-all-hands', this.handleLowerAllHands.bind(this, socket));
+    socket.on('revoke-speaker', this.handleRevokeSpeaker.bind(this, socket));
 
-    // Presenter controls (host only)
+    // Stage
+    socket.on('bring-to-stage', this.handleBringToStage.bind(this, socket));
+    socket.on('remove-from-stage', this.handleRemoveFromStage.bind(this, socket));
+    socket.on('spotlight-participant', this.handleSpotlightParticipant.bind(this, socket));
+
+    // Presenter controls (hosts and co-hosts)
     socket.on('mute-participant', this.handleMuteParticipant.bind(this, socket));
     socket.on('remove-participant', this.handleRemoveParticipant.bind(this, socket));
 
+    // Role management (host only)
+    socket.on('assign-role', this.handleAssignRole.bind(this, socket));
+    socket.on('transfer-host', this.handleTransferHost.bind(this, socket));
+
+    // Room-wide host controls
+    socket.on('mute-all', this.handleMuteAll.bind(this, socket));
+    socket.on('allow-unmute', this.handleAllowUnmute.bind(this, socket));
+    socket.on('request-unmute', this.handleRequestUnmute.bind(this, socket));
+    socket.on('set-attendee-video', this.handleSetAttendeeVideo.bind(this, socket));
+    socket.on('lock-room', this.handleLockRoom.bind(this, socket));
+
+    // Breakout rooms
+    socket.on('create-breakouts', this.handleCreateBreakouts.bind(this, socket));
+    socket.on('assign-breakouts', this.handleAssignBreakouts.bind(this, socket));
+    socket.on('open-breakouts', this.handleOpenBreakouts.bind(this, socket));
+    socket.on('join-breakout', this.handleJoinBreakout.bind(this, socket));
+    socket.on('leave-breakout', this.handleLeaveBreakout.bind(this, socket));
+    socket.on('broadcast-to-breakouts', this.handleBroadcastToBreakouts.bind(this, socket));
+    socket.on('close-breakouts', this.handleCloseBreakouts.bind(this, socket));
+    socket.on('get-breakouts', this.handleGetBreakouts.bind(this, socket));
+
     // Disconnect handler
     socket.on('disconnect', this.handleDisconnect.bind(this, socket));
   }
@@ -97,84 +239,97 @@ class SocketHandler {
         return;
       }
 
+      const participantRole = this.getUserRoleInWebinar(socket.user, webinar);
+
+      // Removed users stay out for the duration of their ban
+      if (participantRole !== 'host' && await Ban.findActive(webinar, socket.user._id)) {
+        socket.emit('error', { message: 'You have been removed from this webinar' });
+        return;
+      }
+
+      // A locked room only lets in hosts, co-hosts and presenters
+      if (participantRole === 'attendee' && (await this.getRoomControls(roomId)).locked) {
+        socket.emit('error', { message: 'The room is locked' });
+        return;
+      }
+
+      // Access rules apply to students without an assigned role in this webinar
+      const restricted = socket.user.role === 'student' && participantRole === 'attendee';
+
+      // Redeem an invite link passed along with the join
+      if (restricted && data.inviteToken) {
+        await Invitation.redeem(String(data.inviteToken), socket.user._id, webinar._id);
+      }
+
       // Check permissions
-      if (socket.user.role === 'student' && !webinar.isPublic) {
+      if (restricted && !(await webinar.isVisibleTo(socket.user))) {
         socket.emit('error', { message: 'Access denied' });
         return;
       }
 
-      if (socket.user.role === 'student' && webinar.status !== 'live') {
+      if (restricted && !['scheduled', 'live'].includes(webinar.status)) {
         socket.emit('error', { message: 'Webinar is not live' });
         return;
       }
 
-      // Check room capacity
-      const roomParticipants = await this.redis.sCard(ROOM_PRESENCE_KEY(roomId));
-      if (roomParticipants >= webinar.maxParticipants) {
-        socket.emit('error', { message: 'Room is full' });
-        return;
-      }
+      // Webinars with requireApproval only let students in once a host approved them
+      let awaitingApproval = false;
+      if (restricted && webinar.settings.requireApproval) {
+        const { request, created } = await JoinRequest.findOrCreate(webinar._id, socket.user._id);
 
-      // Join socket room
-      socket.join(roomId);
-      socket.currentRoom = roomId;
+        if (request.status === 'rejected') {
+          socket.emit('error', { message: 'Your request to join was rejected' });
+          return;
+        }
 
-      // Add to Redis presence
-      await this.redis.sAdd(ROOM_PRESENCE_KEY(roomId), JSON.stringify({
-        userId: socket.user._id,
-        socketId: socket.id,
-        username: socket.user.username,
-        firstName: socket.user.firstName,
-        lastName: socket.user.lastName,
-        role: this.getUserRoleInWebinar(socket.user, webinar),
-        joinedAt: new Date(),
-        audioEnabled: false,
-        videoEnabled: false,
-        screenSharing: false,
-        handRaised: false
-      }));
+        if (created) {
+          this.notifyJoinRequest(webinar, request, socket.user);
+        }
 
-      // Add participant to webinar
-      const participantRole = this.getUserRoleInWebinar(socket.user, webinar);
-      webinar.addParticipant(socket.user._id, participantRole);
-      await webinar.save();
+        awaitingApproval = request.status === 'pending';
+      }
 
-      // Get current room participants
-      const participants = await this.getRoomParticipants(roomId);
+      // Attendees queue in the lobby until a host admits them (waiting room) or
+      // approves their join request, which can already happen before the webinar goes live
+      const useWaitingRoom = awaitingApproval || (
+        webinar.settings.waitingRoom && participantRole === 'attendee' &&
+        !(await this.redis.sIsMember(ROOM_ADMITTED_KEY(roomId), socket.user._id.toString()))
+      );
 
-      logger.info(`Room ${roomId} participants after join:`, participants);
+      if (!useWaitingRoom && restricted && webinar.status !== 'live') {
+        socket.emit('error', { message: 'Webinar is not live' });
+        return;
+      }
 
-      // Notify others about new participant
-      socket.to(roomId).emit('participant-joined', {
-        user: {
-          id: socket.user._id,
-          username: socket.user.username,
-          firstName: socket.user.firstName,
-          lastName: socket.user.lastName,
-          role: participantRole
-        }
-      });
+      // Confirmed registrants have a reserved seat
+      const isRegistered = await Registration.isConfirmed(webinar._id, socket.user._id);
 
-      // Send room state to joining user
-      logger.info(`Emitting room-joined to ${socket.user.username} with ${participants.length} participants`);
-      socket.emit('room-joined', {
-        roomId,
-        webinar: {
-          id: webinar._id,
-          title: webinar.title,
-          description: webinar.description,
-          settings: webinar.settings,
-          host: webinar.host
-        },
-        participants,
-        role: participantRole
-      });
+      if (restricted && webinar.settings.registrationRequired && !isRegistered) {
+        socket.emit('error', { message: 'Registration is required to join this webinar' });
+        return;
+      }
+
+      // Check room capacity
+      if (!(await this.hasSeatFor(webinar, socket.user._id, isRegistered))) {
+        socket.emit('error', { message: 'Room is full' });
+        return;
+      }
+
+      if (useWaitingRoom) {
+        await this.enterWaitingRoom(socket, webinar, { awaitingApproval });
+        return;
+      }
 
-      // Load recent chat messages
-      const chatMessages = await this.getChatHistory(roomId);
-      socket.emit('chat-history', chatMessages);
+      await this.enterRoom(socket, webinar);
 
-      logger.info(`User ${socket.user.username} joined room ${roomId}`);
+      // Reconnecting during open breakouts puts the user back in their breakout room
+      const breakouts = await this.getBreakouts(roomId);
+      const assigned = breakouts && breakouts.status === 'open' &&
+        breakouts.rooms.find(room => room.id === breakouts.assignments[socket.user._id.toString()]);
+      if (assigned) {
+        await this.moveToBreakout(socket, webinar, breakouts, assigned);
+        await this.broadcastBreakouts(roomId);
+      }
 
     } catch (error) {
       logger.error('Join room error:', error);
@@ -182,122 +337,184 @@ class SocketHandler {
     }
   }
 
-  async handleLeaveRoom(socket, data) {
-    try {
-      const roomId = socket.currentRoom;
-      if (!roomId) return;
+  // Put a socket into the room once all join checks passed
+  async enterRoom(socket, webinar) {
+    const roomId = webinar.roomId;
+    const participantRole = this.getUserRoleInWebinar(socket.user, webinar);
 
-      await this.leaveRoom(socket, roomId);
+    // Join socket room
+    socket.join(roomId);
+    socket.currentRoom = roomId;
 
-    } catch (error) {
-      logger.error('Leave room error:', error);
+    if (webinar.can(socket.user._id, PERMISSIONS.MANAGE_LOBBY)) {
+      socket.join(HOSTS_CHANNEL(roomId));
     }
-  }
-
-  async leaveRoom(socket, roomId) {
-    try {
-      // Remove from Redis presence
-      const participants = await this.redis.sMembers(ROOM_PRESENCE_KEY(roomId));
-      const userParticipant = participants.find(p => {
-        const participant = JSON.parse(p);
-        return participant.userId === socket.user._id.toString();
-      });
-
-      if (userParticipant) {
-        await this.redis.sRem(ROOM_PRESENCE_KEY(roomId), userParticipant);
-      }
 
-      // Update webinar participant
-      const webinar = await Webinar.findOne({ roomId });
-      if (webinar) {
-        webinar.removeParticipant(socket.user._id);
-        await webinar.save();
-      }
+    if (participantRole === 'host' && await this.clearHostGrace(roomId)) {
+      socket.to(await this.getSessionChannels(roomId)).emit('host-reconnected', { roomId, userId: socket.user._id });
+    }
 
-      // Leave socket room
-      socket.leave(roomId);
-      socket.currentRoom = null;
+    // Add to Redis presence
+    await this.redis.sAdd(ROOM_PRESENCE_KEY(roomId), JSON.stringify(this.buildPresenceEntry(socket, participantRole)));
 
-      // Notify others about participant leaving
-      socket.to(roomId).emit('participant-left', {
-        userId: socket.user._id,
-        username: socket.user.username
-      });
+    // Add participant to webinar
+    webinar.addParticipant(socket.user._id, participantRole);
+    await webinar.save();
 
-      logger.info(`User ${socket.user.username} left room ${roomId}`);
+    // Get current room participants
+    const participants = await this.getRoomParticipants(roomId);
 
-    } catch (error) {
-      logger.error('Leave room error:', error);
-    }
-  }
+    logger.info(`Room ${roomId} participants after join:`, participants);
 
-  // WebRTC Signaling Handlers
-  handleOffer(socket, data) {
-    const { targetUserId, offer } = data;
-    socket.to(`user:${targetUserId}`).emit('offer', {
-      fromUserId: socket.user._id,
-      fromUsername: socket.user.username,
-      offer
+    // Notify others about new participant
+    socket.to(roomId).emit('participant-joined', {
+      user: {
+        id: socket.user._id,
+        username: socket.user.username,
+        firstName: socket.user.firstName,
+        lastName: socket.user.lastName,
+        role: participantRole
+      }
     });
-  }
 
-  handleAnswer(socket, data) {
-    const { targetUserId, answer } = data;
-    socket.to(`user:${targetUserId}`).emit('answer', {
-      fromUserId: socket.user._id,
-      fromUsername: socket.user.username,
-      answer
+    // Send room state to joining user
+    logger.info(`Emitting room-joined to ${socket.user.username} with ${participants.length} participants`);
+    socket.emit('room-joined', {
+      roomId,
+      webinar: {
+        id: webinar._id,
+        title: webinar.title,
+        description: webinar.description,
+        settings: webinar.settings,
+        host: webinar.host
+      },
+      participants,
+      role: participantRole,
+      permissions: webinar.getPermissions(socket.user._id),
+      handQueue: await this.getHandQueue(roomId),
+      roomControls: await this.getRoomControls(roomId),
+      hostReconnectingUntil: await this.redis.get(ROOM_HOST_GRACE_KEY(roomId)),
+      stage: await this.getStageState(roomId),
+      screenSharer: await this.redis.get(ROOM_SCREEN_SHARE_KEY(roomId)),
+      ...(webinar.can(socket.user._id, PERMISSIONS.MANAGE_LOBBY) && {
+        waitingRoom: await this.getWaitingRoomQueue(roomId)
+      }),
+      ...(webinar.can(socket.user._id, PERMISSIONS.MANAGE_BREAKOUTS) && {
+        breakouts: await this.getBreakoutState(roomId)
+      })
     });
-  }
 
-  handleIceCandidate(socket, data) {
-    const { targetUserId, candidate } = data;
-    socket.to(`user:${targetUserId}`).emit('ice-candidate', {
-      fromUserId: socket.user._id,
-      candidate
+    // Load recent chat messages and the user's own private conversations
+    const chatMessages = await this.getChatHistory(roomId);
+    socket.emit('chat-history', chatMessages);
+
+    const directMessages = await ChatMessage.findDirectPage(webinar._id, socket.user._id);
+    socket.emit('direct-message-history', directMessages.map(message => message.toPayload()).reverse());
+
+    // Q&A so far, sorted by votes (dismissed questions only for those managing it)
+    const questions = await Question.findSorted(webinar._id);
+    socket.emit('qa-history', questions
+      .filter(question => question.status !== 'dismissed' || webinar.can(socket.user._id, PERMISSIONS.MANAGE_QA))
+      .map(question => question.toPayload(socket.user._id)));
+
+    // Launched and closed polls; hosts also get drafts and hidden results
+    const canManagePolls = webinar.can(socket.user._id, PERMISSIONS.MANAGE_POLLS);
+    const polls = await Poll.find({
+      webinar: webinar._id,
+      ...(!canManagePolls && { status: { $ne: 'draft' } })
+    }).sort({ createdAt: 1 });
+    socket.emit('poll-history', polls.map(poll => poll.toPayload({
+      viewerId: socket.user._id,
+      includeResults: canManagePolls
+    })));
+
+    // A quiz running when the user (re)joins
+    const liveQuizzes = await Quiz.find({ webinar: webinar._id, status: 'live' });
+    liveQuizzes.forEach(quiz => {
+      socket.emit('quiz-launched', quiz.toPayload({
+        includeAnswers: webinar.can(socket.user._id, PERMISSIONS.MANAGE_QUIZZES)
+      }));
     });
+
+    logger.info(`User ${socket.user.username} joined room ${roomId}`);
   }
 
-  // Media Control Handlers
-  async handleToggleAudio(socket, data) {
-    try {
-      const { enabled } = data;
-      const roomId = socket.currentRoom;
-      
-      if (!roomId) return;
+  // Waiting Room Handlers
+  async enterWaitingRoom(socket, webinar, options = {}) {
+    const roomId = webinar.roomId;
+    const userId = socket.user._id.toString();
+
+    socket.join(LOBBY_CHANNEL(roomId));
+    socket.lobbyRoom = roomId;
+
+    // Keep the original queue position when rejoining (e.g. after a reconnect)
+    const existing = await this.redis.hGet(ROOM_LOBBY_KEY(roomId), userId);
+    const entry = {
+      userId,
+      socketId: socket.id,
+      username: socket.user.username,
+      firstName: socket.user.firstName,
+      lastName: socket.user.lastName,
+      awaitingApproval: Boolean(options.awaitingApproval),
+      requestedAt: existing ? JSON.parse(existing).requestedAt : new Date()
+    };
+
+    await this.redis.hSet(ROOM_LOBBY_KEY(roomId), userId, JSON.stringify(entry));
+
+    const queue = await this.getWaitingRoomQueue(roomId);
+
+    socket.emit('waiting-room-joined', {
+      roomId,
+      webinar: {
+        id: webinar._id,
+        title: webinar.title,
+        status: webinar.status,
+        scheduledDate: webinar.scheduledDate,
+        lobbyMessage: webinar.settings.lobbyMessage
+      },
+      position: queue.findIndex(waiting => waiting.userId === userId) + 1,
+      awaitingApproval: entry.awaitingApproval,
+      serverTime: new Date() // lets clients run the countdown against server time
+    });
 
-      await this.updateParticipantState(roomId, socket.user._id, { audioEnabled: enabled });
-      
-      socket.to(roomId).emit('participant-audio-changed', {
-        userId: socket.user._id,
-        audioEnabled: enabled
-      });
+    this.io.to(HOSTS_CHANNEL(roomId)).emit('waiting-room-updated', { queue });
 
-    } catch (error) {
-      logger.error('Toggle audio error:', error);
-    }
+    logger.info(`User ${socket.user.username} is waiting to join room ${roomId}`);
   }
 
-  async handleToggleVideo(socket, data) {
+  // Leaving the lobby gives up the queue position. A dropped connection keeps
+  // it, marked offline, so the user is back in place when they reconnect.
+  async leaveWaitingRoom(socket, roomId, options = {}) {
     try {
-      const { enabled } = data;
-      const roomId = socket.currentRoom;
-      
-      if (!roomId) return;
+      const userId = socket.user._id.toString();
+
+      if (options.keepPosition) {
+        const existing = await this.redis.hGet(ROOM_LOBBY_KEY(roomId), userId);
+        const entry = existing && JSON.parse(existing);
+
+        // Another connection of the same user may have taken the entry over
+        if (entry && entry.socketId === socket.id) {
+          await this.redis.hSet(ROOM_LOBBY_KEY(roomId), userId, JSON.stringify({
+            ...entry,
+            socketId: null,
+            offline: true
+          }));
+        }
+      } else {
+        await this.redis.hDel(ROOM_LOBBY_KEY(roomId), userId);
+      }
 
-      await this.updateParticipantState(roomId, socket.user._id, { videoEnabled: enabled });
-      
-      socket.to(roomId).emit('participant-video-changed', {
-        userId: socket.user._id,
-        videoEnabled: enabled
-      });
+      socket.leave(LOBBY_CHANNEL(roomId));
+      socket.lobbyRoom = null;
+
+      await this.broadcastWaitingRoom(roomId);
 
     } catch (error) {
-      logger.error('Toggle video error:', error);
+      logger.error('Leave waiting room error:', error);
     }
   }
 
-  async handleStartScreenShare(socket, data) {
+  async handleGetWaitingRoom(socket, data) {
     try {
       const roomId = socket.currentRoom;
       if (!roomId) return;
@@ -305,218 +522,2610 @@ class SocketHandler {
       const webinar = await Webinar.findOne({ roomId });
       if (!webinar) return;
 
-      const userRole = this.getUserRoleInWebinar(socket.user, webinar);
-      
-      // Check permissions
-      if (userRole !== 'host' && !webinar.settings.allowScreenShare) {
-        socket.emit('error', { message: 'Screen sharing not allowed' });
+      // Check if user can manage the lobby
+      if (!webinar.can(socket.user._id, PERMISSIONS.MANAGE_LOBBY)) {
+        socket.emit('error', { message: 'Only hosts can manage the waiting room' });
         return;
       }
 
-      await this.updateParticipantState(roomId, socket.user._id, { screenSharing: true });
-      
-      socket.to(roomId).emit('screen-share-started', {
-        userId: socket.user._id,
-        username: socket.user.username
+      socket.emit('waiting-room-updated', {
+        queue: await this.getWaitingRoomQueue(roomId)
       });
 
     } catch (error) {
-      logger.error('Start screen share error:', error);
+      logger.error('Get waiting room error:', error);
     }
   }
 
-  async handleStopScreenShare(socket, data) {
+  async handleAdmitParticipant(socket, data) {
     try {
+      const { userId } = data;
       const roomId = socket.currentRoom;
-      if (!roomId) return;
 
-      await this.updateParticipantState(roomId, socket.user._id, { screenSharing: false });
-      
-      socket.to(roomId).emit('screen-share-stopped', {
-        userId: socket.user._id
-      });
+      if (!roomId || !userId) return;
+
+      const webinar = await Webinar.findOne({ roomId }).populate('host');
+      if (!webinar) return;
+
+      // Check if user can manage the lobby
+      if (!webinar.can(socket.user._id, PERMISSIONS.MANAGE_LOBBY)) {
+        socket.emit('error', { message: 'Only hosts can admit participants' });
+        return;
+      }
+
+      await this.approveJoinRequests(webinar, [userId.toString()], socket.user._id);
+      this.emitAdmitError(socket, await this.admitFromWaitingRoom(webinar, [userId.toString()]));
 
     } catch (error) {
-      logger.error('Stop screen share error:', error);
+      logger.error('Admit participant error:', error);
     }
   }
 
-  // Chat and Reaction Handlers
-  async handleSendMessage(socket, data) {
+  async handleAdmitAll(socket, data) {
     try {
-      const { message } = data;
       const roomId = socket.currentRoom;
-      
       if (!roomId) return;
 
-      // Rate limiting for chat
-      if (await this.isRateLimited(socket.user._id, 'chat', 10, 60)) {
-        socket.emit('error', { message: 'Too many messages. Please slow down.' });
-        return;
-      }
+      const webinar = await Webinar.findOne({ roomId }).populate('host');
+      if (!webinar) return;
 
-      const webinar = await Webinar.findOne({ roomId });
-      if (!webinar || !webinar.settings.allowChat) {
-        socket.emit('error', { message: 'Chat is disabled' });
+      // Check if user can manage the lobby
+      if (!webinar.can(socket.user._id, PERMISSIONS.MANAGE_LOBBY)) {
+        socket.emit('error', { message: 'Only hosts can admit participants' });
         return;
       }
 
-      const chatMessage = {
-        id: Date.now(),
-        userId: socket.user._id,
-        username: socket.user.username,
-        firstName: socket.user.firstName,
-        lastName: socket.user.lastName,
-        message: message.trim(),
-        timestamp: new Date(),
-        role: this.getUserRoleInWebinar(socket.user, webinar)
-      };
-
-      // Store in Redis
-      await this.redis.lPush(ROOM_CHAT_KEY(roomId), JSON.stringify(chatMessage));
-      await this.redis.lTrim(ROOM_CHAT_KEY(roomId), 0, 99); // Keep last 100 messages
+      const queue = await this.getWaitingRoomQueue(roomId);
+      const userIds = queue.map(waiting => waiting.userId);
 
-      // Broadcast to room
-      this.io.to(roomId).emit('new-message', chatMessage);
+      await this.approveJoinRequests(webinar, userIds, socket.user._id);
+      this.emitAdmitError(socket, await this.admitFromWaitingRoom(webinar, userIds));
 
     } catch (error) {
-      logger.error('Send message error:', error);
-      socket.emit('error', { message: 'Failed to send message' });
+      logger.error('Admit all error:', error);
     }
   }
 
-  async handleSendReaction(socket, data) {
+  async handleDenyParticipant(socket, data) {
     try {
-      const { reaction } = data;
+      const { userId, reason } = data;
       const roomId = socket.currentRoom;
-      
-      if (!roomId) return;
 
-      // Rate limiting for reactions
-      if (await this.isRateLimited(socket.user._id, 'reaction', 20, 60)) {
-        socket.emit('error', { message: 'Too many reactions. Please slow down.' });
-        return;
-      }
+      if (!roomId || !userId) return;
 
       const webinar = await Webinar.findOne({ roomId });
-      if (!webinar || !webinar.settings.allowReactions) {
-        socket.emit('error', { message: 'Reactions are disabled' });
+      if (!webinar) return;
+
+      // Check if user can manage the lobby
+      if (!webinar.can(socket.user._id, PERMISSIONS.MANAGE_LOBBY)) {
+        socket.emit('error', { message: 'Only hosts can deny participants' });
         return;
       }
 
-      const reactionData = {
-        userId: socket.user._id,
-        username: socket.user.username,
-        reaction,
-        timestamp: new Date()
-      };
+      const removed = await this.removeFromWaitingRoom(
+        roomId,
+        userId.toString(),
+        reason || 'The host declined your request to join'
+      );
+      if (!removed) return;
 
-      // Broadcast to room
-      socket.to(roomId).emit('new-reaction', reactionData);
+      logger.info(`User ${userId} denied entry to room ${roomId} by ${socket.user.username}`);
 
     } catch (error) {
-      logger.error('Send reaction error:', error);
+      logger.error('Deny participant error:', error);
     }
   }
 
-  // Hand Raise Handlers
-  async handleRaiseHand(socket, data) {
-    try {
-      const roomId = socket.currentRoom;
-      if (!roomId) return;
-
-      await this.updateParticipantState(roomId, socket.user._id, { handRaised: true });
-      
-      this.io.to(roomId).emit('hand-raised', {
-        userId: socket.user._id,
-        username: socket.user.username,
-        firstName: socket.user.firstName,
-        lastName: socket.user.lastName
+  // Remove a queued user from the lobby and tell them why
+  async removeFromWaitingRoom(roomId, userId, reason) {
+    const removed = await this.redis.hDel(ROOM_LOBBY_KEY(roomId), userId);
+    if (!removed) return false;
+
+    const sockets = await this.io.in(`user:${userId}`).fetchSockets();
+    sockets
+      .filter(userSocket => userSocket.lobbyRoom === roomId)
+      .forEach(userSocket => {
+        userSocket.leave(LOBBY_CHANNEL(roomId));
+        userSocket.lobbyRoom = null;
+        userSocket.emit('waiting-room-denied', { roomId, reason });
       });
 
-    } catch (error) {
-      logger.error('Raise hand error:', error);
-    }
+    await this.broadcastWaitingRoom(roomId);
+    return true;
   }
 
-  async handleLowerHand(socket, data) {
-    try {
-      const roomId = socket.currentRoom;
-      if (!roomId) return;
-
-      await this.updateParticipantState(roomId, socket.user._id, { handRaised: false });
-      
-      this.io.to(roomId).emit('hand-lowered', {
-        userId: socket.user._id
-      });
+  // Admit queued users in order while the room has seats. Nobody is let in
+  // before the webinar is live: approved users keep waiting until then.
+  async admitFromWaitingRoom(webinar, userIds) {
+    const roomId = webinar.roomId;
 
-    } catch (error) {
-      logger.error('Lower hand error:', error);
+    if (webinar.status !== 'live') {
+      await this.markApprovedInWaitingRoom(roomId, userIds);
+      return { notLive: true, full: false };
     }
-  }
-
-  // Host Control Handlers
-  async handleMuteParticipant(socket, data) {
-    try {
-      const { userId } = data;
-      const roomId = socket.currentRoom;
-      
-      if (!roomId) return;
 
-      const webinar = await Webinar.findOne({ roomId });
-      if (!webinar) return;
+    for (const userId of userIds) {
+      const waiting = await this.redis.hExists(ROOM_LOBBY_KEY(roomId), userId);
+      if (!waiting) continue;
 
-      // Check if user is host
-      if (webinar.host.toString() !== socket.user._id.toString()) {
-        socket.emit('error', { message: 'Only host can mute participants' });
-        return;
+      const isRegistered = await Registration.isConfirmed(webinar._id, userId);
+      if (!(await this.hasSeatFor(webinar, userId, isRegistered))) {
+        await this.markApprovedInWaitingRoom(roomId, userIds.slice(userIds.indexOf(userId)));
+        return { notLive: false, full: true };
       }
 
-      // Mute the participant
-      this.io.to(`user:${userId}`).emit('force-mute');
-      
-      await this.updateParticipantState(roomId, userId, { audioEnabled: false });
+      const removed = await this.redis.hDel(ROOM_LOBBY_KEY(roomId), userId);
+      if (!removed) continue;
 
-      socket.to(roomId).emit('participant-audio-changed', {
-        userId,
-        audioEnabled: false
-      });
+      // Admitted users skip the lobby if they reconnect
+      await this.redis.sAdd(ROOM_ADMITTED_KEY(roomId), userId);
+      await this.redis.expire(ROOM_ADMITTED_KEY(roomId), ADMITTED_TTL_SECONDS);
 
-    } catch (error) {
-      logger.error('Mute participant error:', error);
+      const sockets = await this.io.in(`user:${userId}`).fetchSockets();
+      for (const userSocket of sockets) {
+        if (userSocket.lobbyRoom !== roomId) continue;
+
+        userSocket.leave(LOBBY_CHANNEL(roomId));
+        userSocket.lobbyRoom = null;
+        userSocket.emit('waiting-room-admitted', { roomId });
+
+        await this.enterRoom(userSocket, webinar);
+      }
+
+      logger.info(`User ${userId} admitted to room ${roomId}`);
     }
+
+    await this.broadcastWaitingRoom(roomId);
+    return { notLive: false, full: false };
   }
 
-  async handleRemoveParticipant(socket, data) {
-    try {
+  // Users whose join request was approved but who can't be let in yet
+  async markApprovedInWaitingRoom(roomId, userIds) {
+    for (const userId of userIds) {
+      const existing = await this.redis.hGet(ROOM_LOBBY_KEY(roomId), userId);
+      if (!existing) continue;
+
+      const entry = JSON.parse(existing);
+      if (entry.awaitingApproval) {
+        await this.redis.hSet(ROOM_LOBBY_KEY(roomId), userId, JSON.stringify({
+          ...entry,
+          awaitingApproval: false
+        }));
+      }
+    }
+
+    await this.broadcastWaitingRoom(roomId);
+  }
+
+  // Tell the host why (some) users are still waiting
+  emitAdmitError(socket, { notLive, full }) {
+    if (notLive) {
+      socket.emit('error', { message: 'Participants can only be admitted once the webinar is live' });
+    } else if (full) {
+      socket.emit('error', { message: 'Room is full' });
+    }
+  }
+
+  // Send the queue to hosts and updated positions to everyone still waiting
+  async broadcastWaitingRoom(roomId) {
+    const queue = await this.getWaitingRoomQueue(roomId);
+
+    this.io.to(HOSTS_CHANNEL(roomId)).emit('waiting-room-updated', { queue });
+
+    queue.forEach((waiting, index) => {
+      this.io.to(`user:${waiting.userId}`).emit('waiting-room-position', {
+        roomId,
+        position: index + 1
+      });
+    });
+  }
+
+  // Join Request Handlers
+  notifyJoinRequest(webinar, request, user) {
+    const hostChannels = webinar.getHostUserIds().map(userId => `user:${userId}`);
+
+    this.io.to(hostChannels).emit('join-request-created', {
+      webinarId: webinar._id,
+      roomId: webinar.roomId,
+      request: {
+        id: request._id,
+        status: request.status,
+        message: request.message,
+        createdAt: request.createdAt
+      },
+      user: {
+        id: request.user,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName
+      }
+    });
+  }
+
+  async handleReviewJoinRequest(socket, status, data) {
+    try {
+      const { userId, reason } = data;
+      const roomId = socket.currentRoom;
+
+      if (!roomId || !userId) return;
+
+      const webinar = await Webinar.findOne({ roomId }).populate('host');
+      if (!webinar) return;
+
+      // Check if user can manage the lobby
+      if (!webinar.can(socket.user._id, PERMISSIONS.MANAGE_LOBBY)) {
+        socket.emit('error', { message: 'Only hosts can review join requests' });
+        return;
+      }
+
+      const request = await JoinRequest.findOne({ webinar: webinar._id, user: userId });
+      if (!request) {
+        socket.emit('error', { message: 'Join request not found' });
+        return;
+      }
+
+      await request.review(status, socket.user._id, reason);
+      await this.applyJoinRequestDecision(webinar, request);
+
+      logger.info(`Join request of user ${userId} ${status} by ${socket.user.username}`);
+
+    } catch (error) {
+      logger.error('Review join request error:', error);
+    }
+  }
+
+  // Approvals are remembered, so admitted users aren't asked again on rejoin
+  async approveJoinRequests(webinar, userIds, reviewerId) {
+    if (!webinar.settings.requireApproval || userIds.length === 0) return;
+
+    await JoinRequest.updateMany({
+      webinar: webinar._id,
+      user: { $in: userIds },
+      status: 'pending'
+    }, {
+      $set: { status: 'approved', reviewedBy: reviewerId, reviewedAt: new Date() }
+    });
+  }
+
+  // Act on a reviewed join request, whether it was reviewed live or through REST
+  async applyJoinRequestDecision(webinar, request) {
+    const userId = request.user.toString();
+
+    this.io.to(`user:${userId}`).emit('join-request-reviewed', {
+      webinarId: webinar._id,
+      roomId: webinar.roomId,
+      status: request.status,
+      reason: request.reason
+    });
+
+    if (request.status === 'approved') {
+      await this.admitFromWaitingRoom(webinar, [userId]);
+    } else if (request.status === 'rejected') {
+      await this.removeFromWaitingRoom(
+        webinar.roomId,
+        userId,
+        request.reason || 'Your request to join was rejected'
+      );
+    }
+  }
+
+  async handleLeaveRoom(socket, data) {
+    try {
+      if (socket.lobbyRoom) {
+        await this.leaveWaitingRoom(socket, socket.lobbyRoom);
+      }
+
+      const roomId = socket.currentRoom;
+      if (!roomId) return;
+
+      await this.leaveRoom(socket, roomId);
+
+    } catch (error) {
+      logger.error('Leave room error:', error);
+    }
+  }
+
+  async leaveRoom(socket, roomId) {
+    try {
+      await this.leaveBreakout(socket);
+
+      // Remove from Redis presence
+      await this.removePresence(roomId, socket.user._id.toString());
+
+      await this.lowerHand(roomId, socket.user._id.toString());
+      await this.leaveStage(roomId, socket.user._id);
+      await this.endScreenShare(roomId, socket.user._id);
+
+      // Update webinar participant
+      const webinar = await Webinar.findOne({ roomId });
+      if (webinar) {
+        webinar.removeParticipant(socket.user._id);
+        await webinar.save();
+      }
+
+      // Leave socket room
+      socket.leave(roomId);
+      socket.leave(HOSTS_CHANNEL(roomId));
+      socket.currentRoom = null;
+
+      // Notify others about participant leaving
+      socket.to(roomId).emit('participant-left', {
+        userId: socket.user._id,
+        username: socket.user.username
+      });
+
+      if (webinar && webinar.status === 'live' &&
+          webinar.getActiveHostId() === socket.user._id.toString() &&
+          !(await this.isUserInRoom(roomId, socket.user._id))) {
+        await this.startHostGrace(webinar);
+      }
+
+      logger.info(`User ${socket.user.username} left room ${roomId}`);
+
+    } catch (error) {
+      logger.error('Leave room error:', error);
+    }
+  }
+
+  // WebRTC Signaling Handlers
+  async handleOffer(socket, data) {
+    try {
+      const { targetUserId, offer } = data;
+      if (!(await this.canSignal(socket, targetUserId))) return;
+
+      socket.to(`user:${targetUserId}`).emit('offer', {
+        fromUserId: socket.user._id,
+        fromUsername: socket.user.username,
+        offer
+      });
+    } catch (error) {
+      logger.error('Offer relay error:', error);
+    }
+  }
+
+  async handleAnswer(socket, data) {
+    try {
+      const { targetUserId, answer } = data;
+      if (!(await this.canSignal(socket, targetUserId))) return;
+
+      socket.to(`user:${targetUserId}`).emit('answer', {
+        fromUserId: socket.user._id,
+        fromUsername: socket.user.username,
+        answer
+      });
+    } catch (error) {
+      logger.error('Answer relay error:', error);
+    }
+  }
+
+  async handleIceCandidate(socket, data) {
+    try {
+      const { targetUserId, candidate } = data;
+      if (!(await this.canSignal(socket, targetUserId))) return;
+
+      socket.to(`user:${targetUserId}`).emit('ice-candidate', {
+        fromUserId: socket.user._id,
+        candidate
+      });
+    } catch (error) {
+      logger.error('ICE candidate relay error:', error);
+    }
+  }
+
+  // Media Control Handlers
+  async handleToggleAudio(socket, data) {
+    try {
+      const { enabled } = data;
+      const roomId = socket.currentRoom;
+      
+      if (!roomId) return;
+
+      // Stage and room-wide controls only hold in the main room, not in breakout rooms
+      if (enabled && !socket.breakoutRoom && !(await this.isOnStage(roomId, socket.user._id))) {
+        socket.emit('force-mute');
+        socket.emit('error', { message: 'Only participants on stage can unmute' });
+        return;
+      }
+
+      if (enabled && !socket.breakoutRoom && !(await this.canUnmute(roomId, socket.user._id))) {
+        socket.emit('force-mute');
+        socket.emit('error', { message: 'The host has disabled unmuting' });
+        return;
+      }
+
+      const channel = this.getMediaRoom(socket);
+      await this.updateParticipantState(channel, socket.user._id, { audioEnabled: enabled });
+      
+      socket.to(channel).emit('participant-audio-changed', {
+        userId: socket.user._id,
+        audioEnabled: enabled
+      });
+
+    } catch (error) {
+      logger.error('Toggle audio error:', error);
+    }
+  }
+
+  async handleToggleVideo(socket, data) {
+    try {
+      const { enabled } = data;
+      const roomId = socket.currentRoom;
+      
+      if (!roomId) return;
+
+      if (enabled && !socket.breakoutRoom && !(await this.isOnStage(roomId, socket.user._id))) {
+        socket.emit('force-video-off');
+        socket.emit('error', { message: 'Only participants on stage can turn on their camera' });
+        return;
+      }
+
+      if (enabled && !socket.breakoutRoom && !(await this.canEnableVideo(roomId, socket.user._id))) {
+        socket.emit('force-video-off');
+        socket.emit('error', { message: 'The host has disabled attendee video' });
+        return;
+      }
+
+      const channel = this.getMediaRoom(socket);
+      await this.updateParticipantState(channel, socket.user._id, { videoEnabled: enabled });
+      
+      socket.to(channel).emit('participant-video-changed', {
+        userId: socket.user._id,
+        videoEnabled: enabled
+      });
+
+    } catch (error) {
+      logger.error('Toggle video error:', error);
+    }
+  }
+
+  async handleStartScreenShare(socket, data) {
+    try {
+      const webinar = await this.getScreenShareWebinar(socket);
+      if (!webinar) return;
+
+      const channel = this.getMediaRoom(socket);
+      const userId = socket.user._id.toString();
+
+      // Only one screen share per (breakout) room; an approved takeover has
+      // already reserved the slot for the new sharer
+      await this.redis.set(ROOM_SCREEN_SHARE_KEY(channel), userId, { NX: true });
+      const sharerId = await this.redis.get(ROOM_SCREEN_SHARE_KEY(channel));
+
+      if (sharerId !== userId) {
+        socket.emit('screen-share-denied', {
+          message: 'Someone else is already sharing their screen',
+          sharerId
+        });
+        return;
+      }
+
+      // Drop the expiry of a reserved slot now that it's in use
+      await this.redis.persist(ROOM_SCREEN_SHARE_KEY(channel));
+      await this.updateParticipantState(channel, socket.user._id, { screenSharing: true });
+      
+      socket.to(channel).emit('screen-share-started', {
+        userId: socket.user._id,
+        username: socket.user.username
+      });
+
+    } catch (error) {
+      logger.error('Start screen share error:', error);
+    }
+  }
+
+  async handleStopScreenShare(socket, data) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId) return;
+
+      await this.endScreenShare(this.getMediaRoom(socket), socket.user._id);
+
+    } catch (error) {
+      logger.error('Stop screen share error:', error);
+    }
+  }
+
+  // Ask the current sharer (or a host) to hand over the screen share
+  async handleRequestScreenShareTakeover(socket) {
+    try {
+      const webinar = await this.getScreenShareWebinar(socket);
+      if (!webinar) return;
+
+      const channel = this.getMediaRoom(socket);
+      const sharerId = await this.redis.get(ROOM_SCREEN_SHARE_KEY(channel));
+
+      if (!sharerId || sharerId === socket.user._id.toString()) {
+        socket.emit('error', { message: 'No one else is sharing their screen' });
+        return;
+      }
+
+      const request = {
+        userId: socket.user._id.toString(),
+        username: socket.user.username,
+        firstName: socket.user.firstName,
+        lastName: socket.user.lastName,
+        requestedAt: new Date()
+      };
+
+      await this.redis.set(ROOM_SCREEN_SHARE_REQUEST_KEY(channel), JSON.stringify(request), {
+        EX: SCREEN_SHARE_REQUEST_TTL_SECONDS
+      });
+
+      this.io.to(`user:${sharerId}`).to(HOSTS_CHANNEL(webinar.roomId))
+        .emit('screen-share-takeover-requested', { roomId: channel, ...request });
+
+    } catch (error) {
+      logger.error('Request screen share takeover error:', error);
+    }
+  }
+
+  // Approve or deny the pending takeover (current sharer, hosts and co-hosts)
+  async handleRespondScreenShareTakeover(socket, data = {}) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId) return;
+
+      const webinar = await Webinar.findOne({ roomId });
+      if (!webinar) return;
+
+      const channel = this.getMediaRoom(socket);
+      const sharerId = await this.redis.get(ROOM_SCREEN_SHARE_KEY(channel));
+
+      if (sharerId !== socket.user._id.toString() &&
+          !webinar.can(socket.user._id, PERMISSIONS.MANAGE_STAGE)) {
+        socket.emit('error', { message: 'Only the current sharer or a host can answer takeover requests' });
+        return;
+      }
+
+      const request = await this.redis.get(ROOM_SCREEN_SHARE_REQUEST_KEY(channel));
+      if (!request) {
+        socket.emit('error', { message: 'No pending takeover request' });
+        return;
+      }
+
+      const { userId } = JSON.parse(request);
+      await this.redis.del(ROOM_SCREEN_SHARE_REQUEST_KEY(channel));
+
+      if (!data.approve) {
+        this.io.to(`user:${userId}`).emit('screen-share-takeover-denied', { roomId: channel });
+        return;
+      }
+
+      if (sharerId) {
+        this.io.to(`user:${sharerId}`).emit('force-stop-screen-share');
+        await this.endScreenShare(channel, sharerId);
+      }
+
+      // Hold the slot for the requester until they start sharing
+      await this.redis.set(ROOM_SCREEN_SHARE_KEY(channel), userId, { EX: SCREEN_SHARE_REQUEST_TTL_SECONDS });
+      this.io.to(`user:${userId}`).emit('screen-share-takeover-approved', { roomId: channel });
+
+    } catch (error) {
+      logger.error('Respond screen share takeover error:', error);
+    }
+  }
+
+  // Stop whoever is sharing their screen in the host's current (breakout) room
+  async handleForceStopScreenShare(socket) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_STAGE);
+      if (!webinar) return;
+
+      const channel = this.getMediaRoom(socket);
+      const sharerId = await this.redis.get(ROOM_SCREEN_SHARE_KEY(channel));
+      if (!sharerId) return;
+
+      this.io.to(`user:${sharerId}`).emit('force-stop-screen-share', { by: socket.user.username });
+      await this.endScreenShare(channel, sharerId);
+
+    } catch (error) {
+      logger.error('Force stop screen share error:', error);
+    }
+  }
+
+  // Webinar of the socket's current room, if the user may share their screen there
+  async getScreenShareWebinar(socket) {
+    const roomId = socket.currentRoom;
+    if (!roomId) return null;
+
+    const webinar = await Webinar.findOne({ roomId });
+    if (!webinar) return null;
+
+    // Check permissions (or a temporary grant from being called on)
+    if (!webinar.can(socket.user._id, PERMISSIONS.SCREEN_SHARE) &&
+        !(await this.hasSpeakerGrant(roomId, socket.user._id, 'screenShare'))) {
+      socket.emit('error', { message: 'Screen sharing not allowed' });
+      return null;
+    }
+
+    if (!socket.breakoutRoom && !(await this.isOnStage(roomId, socket.user._id))) {
+      socket.emit('error', { message: 'Only participants on stage can share their screen' });
+      return null;
+    }
+
+    return webinar;
+  }
+
+  // Free the room's screen share slot if userId holds it
+  async endScreenShare(channel, userId) {
+    userId = userId.toString();
+
+    if (await this.redis.get(ROOM_SCREEN_SHARE_KEY(channel)) !== userId) return false;
+
+    await this.redis.del(ROOM_SCREEN_SHARE_KEY(channel));
+    await this.updateParticipantState(channel, userId, { screenSharing: false });
+
+    this.io.to(channel).emit('screen-share-stopped', { userId });
+    return true;
+  }
+
+  // Chat and Reaction Handlers
+  // Shared checks for room and direct messages. Returns the webinar and the
+  // cleaned up message text, or null after telling the sender what's wrong.
+  async prepareChatMessage(socket, data) {
+    const message = typeof data.message === 'string' ? data.message.trim() : '';
+    const roomId = socket.currentRoom;
+
+    if (!roomId || !message) return null;
+
+    if (message.length > 1000) {
+      socket.emit('error', { message: 'Message is too long' });
+      return null;
+    }
+
+    // Rate limiting for chat
+    if (await this.isRateLimited(socket.user._id, 'chat', 10, 60)) {
+      socket.emit('error', { message: 'Too many messages. Please slow down.' });
+      return null;
+    }
+
+    const webinar = await Webinar.findOne({ roomId });
+    if (!webinar || !webinar.settings.allowChat) {
+      socket.emit('error', { message: 'Chat is disabled' });
+      return null;
+    }
+
+    const mutedUntil = await this.redis.get(CHAT_MUTE_KEY(roomId, socket.user._id));
+    if (mutedUntil) {
+      socket.emit('error', { message: 'You have been muted in chat', until: mutedUntil });
+      return null;
+    }
+
+    const blockedWord = findBlockedWord(message, webinar.settings.blockedWords);
+    if (blockedWord) {
+      socket.emit('error', { message: 'Your message contains a blocked word' });
+      return null;
+    }
+
+    return { webinar, message };
+  }
+
+  async handleSendMessage(socket, data) {
+    try {
+      const prepared = await this.prepareChatMessage(socket, data);
+      if (!prepared) return;
+
+      const { webinar, message } = prepared;
+
+      // Messages sent in a breakout room stay in that breakout room
+      const roomId = this.getMediaRoom(socket);
+      const breakout = socket.breakoutRoom ? await this.getBreakoutName(webinar.roomId, roomId) : null;
+
+      // Warm a cold cache first, so it holds the older history below this message
+      await this.warmChatCache(roomId);
+
+      // Archive in MongoDB
+      const archived = await ChatMessage.create({
+        webinar: webinar._id,
+        roomId,
+        breakout,
+        user: socket.user._id,
+        username: socket.user.username,
+        firstName: socket.user.firstName,
+        lastName: socket.user.lastName,
+        message,
+        role: this.getUserRoleInWebinar(socket.user, webinar)
+      });
+      const chatMessage = archived.toPayload();
+
+      // Cache recent messages in Redis
+      await this.redis.lPush(ROOM_CHAT_KEY(roomId), JSON.stringify(chatMessage));
+      await this.redis.lTrim(ROOM_CHAT_KEY(roomId), 0, CHAT_CACHE_SIZE - 1);
+      await this.redis.expire(ROOM_CHAT_KEY(roomId), CHAT_CACHE_TTL_SECONDS);
+      await this.redis.expire(ROOM_CHAT_WARM_KEY(roomId), CHAT_CACHE_TTL_SECONDS);
+
+      // Broadcast to room
+      this.io.to(roomId).emit('new-message', chatMessage);
+
+    } catch (error) {
+      logger.error('Send message error:', error);
+      socket.emit('error', { message: 'Failed to send message' });
+    }
+  }
+
+  // Private message to one participant of the same room. Hosts and co-hosts can
+  // message anyone and be messaged by anyone; other participants can only reach
+  // each other when the webinar allows private chat.
+  async handleSendDirectMessage(socket, data) {
+    try {
+      const { recipientId } = data;
+      if (!recipientId || recipientId.toString() === socket.user._id.toString()) return;
+
+      const prepared = await this.prepareChatMessage(socket, data);
+      if (!prepared) return;
+
+      const { webinar, message } = prepared;
+      const roomId = webinar.roomId;
+
+      const [recipientSocket] = (await this.io.in(`user:${recipientId}`).fetchSockets())
+        .filter(userSocket => userSocket.currentRoom === roomId);
+
+      if (!recipientSocket) {
+        socket.emit('error', { message: 'Recipient is not in this webinar' });
+        return;
+      }
+
+      const hostIds = webinar.getHostUserIds();
+      const involvesHost = hostIds.includes(socket.user._id.toString()) ||
+        hostIds.includes(recipientId.toString());
+
+      if (!involvesHost && !webinar.settings.allowPrivateChat) {
+        socket.emit('error', { message: 'Private messages between attendees are disabled' });
+        return;
+      }
+
+      const recipient = recipientSocket.user;
+
+      // Stored with the room history, but only ever returned to the two parties
+      const archived = await ChatMessage.create({
+        webinar: webinar._id,
+        roomId,
+        user: socket.user._id,
+        username: socket.user.username,
+        firstName: socket.user.firstName,
+        lastName: socket.user.lastName,
+        message,
+        role: this.getUserRoleInWebinar(socket.user, webinar),
+        recipient: recipient._id,
+        recipientUsername: recipient.username
+      });
+      const directMessage = archived.toPayload();
+
+      this.io.to(`user:${recipient._id}`).to(`user:${socket.user._id}`).emit('direct-message', directMessage);
+
+    } catch (error) {
+      logger.error('Send direct message error:', error);
+      socket.emit('error', { message: 'Failed to send direct message' });
+    }
+  }
+
+  // Chat moderation (hosts and co-hosts)
+  async handleDeleteMessage(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MODERATE_CHAT);
+      if (!webinar || !data.messageId) return;
+
+      const message = await this.deleteChatMessage(webinar, data.messageId, socket.user._id);
+      if (!message) {
+        socket.emit('error', { message: 'Message not found' });
+      }
+    } catch (error) {
+      logger.error('Delete message error:', error);
+      socket.emit('error', { message: 'Failed to delete message' });
+    }
+  }
+
+  async handlePinMessage(socket, pinned, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MODERATE_CHAT);
+      if (!webinar || !data.messageId) return;
+
+      const message = await this.setMessagePinned(webinar, data.messageId, pinned, socket.user._id);
+      if (!message) {
+        socket.emit('error', { message: 'Message not found' });
+      }
+    } catch (error) {
+      logger.error('Pin message error:', error);
+      socket.emit('error', { message: 'Failed to update pinned message' });
+    }
+  }
+
+  async handleMuteChatUser(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MODERATE_CHAT);
+      if (!webinar || !data.userId) return;
+
+      if (webinar.can(data.userId, PERMISSIONS.MODERATE_CHAT)) {
+        socket.emit('error', { message: 'Cannot mute a chat moderator' });
+        return;
+      }
+
+      const duration = Math.min(
+        Math.max(parseInt(data.duration) || DEFAULT_CHAT_MUTE_SECONDS, 1),
+        MAX_CHAT_MUTE_SECONDS
+      );
+      await this.muteFromChat(webinar, data.userId, duration);
+    } catch (error) {
+      logger.error('Mute chat user error:', error);
+      socket.emit('error', { message: 'Failed to mute user in chat' });
+    }
+  }
+
+  async handleUnmuteChatUser(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MODERATE_CHAT);
+      if (!webinar || !data.userId) return;
+
+      await this.unmuteFromChat(webinar, data.userId);
+    } catch (error) {
+      logger.error('Unmute chat user error:', error);
+      socket.emit('error', { message: 'Failed to unmute user in chat' });
+    }
+  }
+
+  // Webinar of the socket's current room, if the user holds the permission
+  async getControlledWebinar(socket, permission, message = PERMISSION_DENIED_MESSAGES[permission]) {
+    const roomId = socket.currentRoom;
+    if (!roomId) return null;
+
+    const webinar = await Webinar.findOne({ roomId });
+    if (!webinar) return null;
+
+    if (!webinar.can(socket.user._id, permission)) {
+      socket.emit('error', { message: message || 'Only hosts and co-hosts can change room controls' });
+      return null;
+    }
+
+    return webinar;
+  }
+
+  // Moderation actions below are shared by the socket events and the REST routes
+  async deleteChatMessage(webinar, messageId, moderatorId) {
+    const message = await ChatMessage.findVisible(webinar._id, messageId);
+    if (!message) return null;
+
+    await message.softDelete(moderatorId);
+
+    // The message lives in the (breakout) room it was sent in, whose cache is
+    // rebuilt from the archive (without the deleted message) on next read
+    const roomId = message.roomId;
+    await this.redis.del([ROOM_CHAT_KEY(roomId), ROOM_CHAT_WARM_KEY(roomId)]);
+
+    this.io.to(roomId).emit('message-deleted', { messageId: message._id.toString() });
+
+    logger.info(`Chat message ${message._id} deleted in room ${roomId} by ${moderatorId}`);
+    return message;
+  }
+
+  async setMessagePinned(webinar, messageId, pinned, moderatorId) {
+    const message = await ChatMessage.findVisible(webinar._id, messageId);
+    if (!message) return null;
+
+    await message.setPinned(pinned, moderatorId);
+
+    const roomId = message.roomId;
+    await this.redis.del([ROOM_CHAT_KEY(roomId), ROOM_CHAT_WARM_KEY(roomId)]);
+
+    if (pinned) {
+      this.io.to(roomId).emit('message-pinned', message.toPayload());
+    } else {
+      this.io.to(roomId).emit('message-unpinned', { messageId: message._id.toString() });
+    }
+
+    return message;
+  }
+
+  async muteFromChat(webinar, userId, durationSeconds) {
+    const until = new Date(Date.now() + durationSeconds * 1000);
+
+    await this.redis.set(CHAT_MUTE_KEY(webinar.roomId, userId), until.toISOString(), { EX: durationSeconds });
+
+    this.io.to(`user:${userId}`).emit('chat-muted', { roomId: webinar.roomId, until });
+    this.io.to(HOSTS_CHANNEL(webinar.roomId)).emit('participant-chat-muted', { userId: userId.toString(), until });
+
+    logger.info(`User ${userId} muted from chat in room ${webinar.roomId} for ${durationSeconds}s`);
+    return until;
+  }
+
+  async unmuteFromChat(webinar, userId) {
+    await this.redis.del(CHAT_MUTE_KEY(webinar.roomId, userId));
+
+    this.io.to(`user:${userId}`).emit('chat-unmuted', { roomId: webinar.roomId });
+    this.io.to(HOSTS_CHANNEL(webinar.roomId)).emit('participant-chat-unmuted', { userId: userId.toString() });
+  }
+
+  // Q&A
+  async handleSubmitQuestion(socket, data) {
+    try {
+      const text = typeof data.text === 'string' ? data.text.trim() : '';
+      const roomId = socket.currentRoom;
+
+      if (!roomId || !text) return;
+
+      if (text.length > 500) {
+        socket.emit('error', { message: 'Question is too long' });
+        return;
+      }
+
+      if (await this.isRateLimited(socket.user._id, 'question', 5, 60)) {
+        socket.emit('error', { message: 'Too many questions. Please slow down.' });
+        return;
+      }
+
+      const webinar = await Webinar.findOne({ roomId });
+      if (!webinar || !webinar.settings.allowQuestions) {
+        socket.emit('error', { message: 'Q&A is disabled' });
+        return;
+      }
+
+      if (data.anonymous && !webinar.settings.allowAnonymousQuestions) {
+        socket.emit('error', { message: 'Anonymous questions are disabled' });
+        return;
+      }
+
+      if (findBlockedWord(text, webinar.settings.blockedWords)) {
+        socket.emit('error', { message: 'Your question contains a blocked word' });
+        return;
+      }
+
+      const question = await Question.create({
+        webinar: webinar._id,
+        roomId,
+        user: socket.user._id,
+        username: socket.user.username,
+        firstName: socket.user.firstName,
+        lastName: socket.user.lastName,
+        isAnonymous: Boolean(data.anonymous),
+        text
+      });
+
+      socket.to(await this.getSessionChannels(roomId)).emit('question-added', question.toPayload());
+      socket.emit('question-added', question.toPayload(socket.user._id));
+
+    } catch (error) {
+      logger.error('Submit question error:', error);
+      socket.emit('error', { message: 'Failed to submit question' });
+    }
+  }
+
+  async handleUpvoteQuestion(socket, upvote, data = {}) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId || !data.questionId) return;
+
+      const webinar = await Webinar.findOne({ roomId }).select('_id');
+      if (!webinar) return;
+
+      const question = await Question.setUpvote(webinar._id, data.questionId, socket.user._id, upvote);
+
+      // Already (un)voted, answered or unknown question
+      if (!question) return;
+
+      this.io.to(await this.getSessionChannels(roomId)).emit('question-votes', {
+        questionId: question._id.toString(),
+        upvoteCount: question.upvoteCount
+      });
+      socket.emit('question-updated', question.toPayload(socket.user._id));
+
+    } catch (error) {
+      logger.error('Upvote question error:', error);
+    }
+  }
+
+  async handleAnswerQuestion(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_QA);
+      if (!webinar || !data.questionId) return;
+
+      const answer = typeof data.answer === 'string' ? data.answer.trim().slice(0, 2000) : '';
+      const question = await this.answerQuestion(webinar, data.questionId, socket.user._id, answer);
+      if (!question) {
+        socket.emit('error', { message: 'Question not found' });
+      }
+    } catch (error) {
+      logger.error('Answer question error:', error);
+      socket.emit('error', { message: 'Failed to answer question' });
+    }
+  }
+
+  async handleDismissQuestion(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_QA);
+      if (!webinar || !data.questionId) return;
+
+      const question = await this.dismissQuestion(webinar, data.questionId);
+      if (!question) {
+        socket.emit('error', { message: 'Question not found' });
+      }
+    } catch (error) {
+      logger.error('Dismiss question error:', error);
+      socket.emit('error', { message: 'Failed to dismiss question' });
+    }
+  }
+
+  // Show an open question on screen; a null questionId clears the highlight
+  async handleHighlightQuestion(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_QA);
+      if (!webinar) return;
+
+      const question = await Question.highlight(webinar._id, data.questionId || null);
+
+      if (question === false) {
+        socket.emit('error', { message: 'Question not found' });
+        return;
+      }
+
+      this.io.to(await this.getSessionChannels(webinar.roomId)).emit('question-highlighted', question ? question.toPayload() : null);
+
+    } catch (error) {
+      logger.error('Highlight question error:', error);
+      socket.emit('error', { message: 'Failed to highlight question' });
+    }
+  }
+
+  // Q&A actions below are shared by the socket events and the REST routes.
+  // An answer without text marks the question as answered live.
+  async answerQuestion(webinar, questionId, userId, answer) {
+    const question = await Question.findForWebinar(webinar._id, questionId);
+    if (!question || question.status === 'dismissed') return null;
+
+    const wasHighlighted = Boolean(question.highlightedAt);
+    await question.markAnswered(userId, answer || undefined);
+
+    this.io.to(await this.getSessionChannels(webinar.roomId)).emit('question-updated', question.toPayload());
+    if (wasHighlighted) {
+      this.io.to(await this.getSessionChannels(webinar.roomId)).emit('question-highlighted', null);
+    }
+
+    return question;
+  }
+
+  async dismissQuestion(webinar, questionId) {
+    const question = await Question.findForWebinar(webinar._id, questionId);
+    if (!question) return null;
+
+    const wasHighlighted = Boolean(question.highlightedAt);
+    await question.dismiss();
+
+    this.io.to(await this.getSessionChannels(webinar.roomId)).emit('question-updated', question.toPayload());
+    if (wasHighlighted) {
+      this.io.to(await this.getSessionChannels(webinar.roomId)).emit('question-highlighted', null);
+    }
+
+    return question;
+  }
+
+  // Polls
+  async handleCreatePoll(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_POLLS);
+      if (!webinar) return;
+
+      const poll = await Poll.create({
+        webinar: webinar._id,
+        createdBy: socket.user._id,
+        question: data.question,
+        type: data.type,
+        options: Array.isArray(data.options) ? data.options.map(text => ({ text })) : [],
+        hideResultsUntilClosed: Boolean(data.hideResultsUntilClosed)
+      });
+
+      // Polls made on the fly are usually meant to go out right away
+      if (data.launch) {
+        await this.launchPoll(webinar, poll);
+      } else {
+        this.io.to(HOSTS_CHANNEL(webinar.roomId)).emit('poll-created', poll.toPayload({ includeResults: true }));
+      }
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        socket.emit('error', { message: 'Invalid poll', details: Object.values(error.errors)[0].message });
+        return;
+      }
+      logger.error('Create poll error:', error);
+      socket.emit('error', { message: 'Failed to create poll' });
+    }
+  }
+
+  async handleLaunchPoll(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_POLLS);
+      if (!webinar || !data.pollId) return;
+
+      const poll = await Poll.findForWebinar(webinar._id, data.pollId);
+      if (!poll || poll.status !== 'draft') {
+        socket.emit('error', { message: 'Poll not found or already launched' });
+        return;
+      }
+
+      await this.launchPoll(webinar, poll);
+
+    } catch (error) {
+      logger.error('Launch poll error:', error);
+      socket.emit('error', { message: 'Failed to launch poll' });
+    }
+  }
+
+  async handleClosePoll(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_POLLS);
+      if (!webinar || !data.pollId) return;
+
+      const poll = await Poll.findForWebinar(webinar._id, data.pollId);
+      if (!poll || poll.status !== 'live') {
+        socket.emit('error', { message: 'Poll not found or not live' });
+        return;
+      }
+
+      await poll.close();
+      this.clearPollResultsTimer(poll._id);
+
+      this.io.to(await this.getSessionChannels(webinar.roomId)).emit('poll-closed', poll.toPayload());
+
+      logger.info(`Poll ${poll._id} closed in room ${webinar.roomId} with ${poll.votes.length} votes`);
+
+    } catch (error) {
+      logger.error('Close poll error:', error);
+      socket.emit('error', { message: 'Failed to close poll' });
+    }
+  }
+
+  async handleVotePoll(socket, data) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId || !data.pollId || !Array.isArray(data.optionIds)) return;
+
+      const webinar = await Webinar.findOne({ roomId });
+      if (!webinar) return;
+
+      const poll = await Poll.findForWebinar(webinar._id, data.pollId);
+      if (!poll || poll.status !== 'live') {
+        socket.emit('error', { message: 'Poll is not open for voting' });
+        return;
+      }
+
+      const validIds = poll.options.map(option => option._id.toString());
+      const optionIds = [...new Set(data.optionIds.map(String))];
+
+      if (!optionIds.length || optionIds.some(id => !validIds.includes(id)) ||
+          (poll.type === 'single' && optionIds.length > 1)) {
+        socket.emit('error', { message: 'Invalid poll answer' });
+        return;
+      }
+
+      const updated = await Poll.vote(poll._id, socket.user._id, optionIds);
+      if (!updated) {
+        socket.emit('error', { message: 'You have already voted in this poll' });
+        return;
+      }
+
+      socket.emit('poll-vote-recorded', updated.toPayload({ viewerId: socket.user._id }));
+      this.schedulePollResults(webinar.roomId, updated._id);
+
+    } catch (error) {
+      logger.error('Vote poll error:', error);
+      socket.emit('error', { message: 'Failed to record vote' });
+    }
+  }
+
+  async launchPoll(webinar, poll) {
+    await poll.launch();
+
+    this.io.to(await this.getSessionChannels(webinar.roomId)).emit('poll-launched', poll.toPayload());
+    this.io.to(HOSTS_CHANNEL(webinar.roomId)).emit('poll-results', {
+      pollId: poll._id.toString(),
+      results: poll.getResults()
+    });
+
+    logger.info(`Poll ${poll._id} launched in room ${webinar.roomId}`);
+  }
+
+  // Stream results at most once per interval per poll, so a burst of votes
+  // in a large room doesn't turn into a burst of broadcasts
+  schedulePollResults(roomId, pollId) {
+    const key = pollId.toString();
+    if (this.pollResultTimers.has(key)) return;
+
+    this.pollResultTimers.set(key, setTimeout(async () => {
+      this.pollResultTimers.delete(key);
+
+      try {
+        const poll = await Poll.findById(pollId);
+        if (!poll || poll.status !== 'live') return;
+
+        const update = { pollId: key, results: poll.getResults() };
+
+        // Hosts always follow the results; attendees only when they're public
+        if (poll.areResultsVisible()) {
+          this.io.to(await this.getSessionChannels(roomId)).emit('poll-results', update);
+        } else {
+          this.io.to(HOSTS_CHANNEL(roomId)).emit('poll-results', update);
+        }
+      } catch (error) {
+        logger.error('Broadcast poll results error:', error);
+      }
+    }, POLL_RESULTS_INTERVAL_MS));
+  }
+
+  clearPollResultsTimer(pollId) {
+    const key = pollId.toString();
+    clearTimeout(this.pollResultTimers.get(key));
+    this.pollResultTimers.delete(key);
+  }
+
+  // Quizzes
+  async handleLaunchQuiz(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_QUIZZES);
+      if (!webinar || !data.quizId) return;
+
+      const quiz = await Quiz.findForWebinar(webinar._id, data.quizId);
+      if (!quiz || quiz.status !== 'draft') {
+        socket.emit('error', { message: 'Quiz not found or already launched' });
+        return;
+      }
+
+      await quiz.launch();
+
+      this.io.to(await this.getSessionChannels(webinar.roomId)).emit('quiz-launched', quiz.toPayload());
+
+      if (quiz.closesAt) {
+        this.scheduleQuizClose(webinar.roomId, quiz);
+      }
+
+      logger.info(`Quiz ${quiz._id} launched in room ${webinar.roomId}`);
+
+    } catch (error) {
+      logger.error('Launch quiz error:', error);
+      socket.emit('error', { message: 'Failed to launch quiz' });
+    }
+  }
+
+  async handleCloseQuiz(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_QUIZZES);
+      if (!webinar || !data.quizId) return;
+
+      const quiz = await Quiz.findForWebinar(webinar._id, data.quizId);
+      if (!quiz || quiz.status !== 'live') {
+        socket.emit('error', { message: 'Quiz not found or not live' });
+        return;
+      }
+
+      await this.closeQuiz(webinar.roomId, quiz);
+
+    } catch (error) {
+      logger.error('Close quiz error:', error);
+      socket.emit('error', { message: 'Failed to close quiz' });
+    }
+  }
+
+  // Answers come as [{ questionId, optionIds }]; one submission per student
+  async handleSubmitQuiz(socket, data) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId || !data.quizId || !Array.isArray(data.answers)) return;
+
+      const webinar = await Webinar.findOne({ roomId });
+      if (!webinar) return;
+
+      if (webinar.can(socket.user._id, PERMISSIONS.MANAGE_QUIZZES)) {
+        socket.emit('error', { message: 'Hosts cannot take quizzes' });
+        return;
+      }
+
+      const quiz = await Quiz.findForWebinar(webinar._id, data.quizId);
+      if (!quiz || !quiz.isAcceptingSubmissions()) {
+        socket.emit('error', { message: 'Quiz is not open for submissions' });
+        return;
+      }
+
+      const result = quiz.grade(data.answers.filter(answer => answer && Array.isArray(answer.optionIds)));
+
+      let attempt;
+      try {
+        attempt = await QuizAttempt.create({
+          quiz: quiz._id,
+          webinar: webinar._id,
+          user: socket.user._id,
+          ...result
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          socket.emit('error', { message: 'You have already submitted this quiz' });
+          return;
+        }
+        throw error;
+      }
+
+      // Per-question results are revealed when the quiz closes
+      socket.emit('quiz-submitted', {
+        quizId: quiz._id.toString(),
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        submittedAt: attempt.submittedAt
+      });
+
+      this.io.to(HOSTS_CHANNEL(roomId)).emit('quiz-submission', {
+        quizId: quiz._id.toString(),
+        userId: socket.user._id.toString(),
+        username: socket.user.username,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        submissions: await QuizAttempt.countDocuments({ quiz: quiz._id })
+      });
+
+    } catch (error) {
+      logger.error('Submit quiz error:', error);
+      socket.emit('error', { message: 'Failed to submit quiz' });
+    }
+  }
+
+  // Close a quiz, reveal the correct answers and send every student their result
+  async closeQuiz(roomId, quiz) {
+    this.clearQuizTimer(quiz._id);
+    await quiz.close();
+
+    this.io.to(await this.getSessionChannels(roomId)).emit('quiz-closed', quiz.toPayload());
+
+    const attempts = await QuizAttempt.find({ quiz: quiz._id });
+    attempts.forEach(attempt => {
+      this.io.to(`user:${attempt.user}`).emit('quiz-result', {
+        quizId: quiz._id.toString(),
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        answers: attempt.answers
+      });
+    });
+
+    logger.info(`Quiz ${quiz._id} closed in room ${roomId} with ${attempts.length} submissions`);
+  }
+
+  // Close timed quizzes once their time (plus the submission grace) is up
+  scheduleQuizClose(roomId, quiz) {
+    const key = quiz._id.toString();
+    const delay = quiz.closesAt.getTime() + QUIZ_CLOSE_GRACE_MS - Date.now();
+
+    this.clearQuizTimer(key);
+    this.quizTimers.set(key, setTimeout(async () => {
+      this.quizTimers.delete(key);
+
+      try {
+        const current = await Quiz.findById(key);
+        if (current && current.status === 'live') {
+          await this.closeQuiz(roomId, current);
+        }
+      } catch (error) {
+        logger.error('Auto-close quiz error:', error);
+      }
+    }, Math.max(delay, 0)));
+  }
+
+  clearQuizTimer(quizId) {
+    const key = quizId.toString();
+    clearTimeout(this.quizTimers.get(key));
+    this.quizTimers.delete(key);
+  }
+
+  async handleSendReaction(socket, data) {
+    try {
+      const { reaction } = data;
+      const roomId = socket.currentRoom;
+      
+      if (!roomId) return;
+
+      // Rate limiting for reactions
+      if (await this.isRateLimited(socket.user._id, 'reaction', 20, 60)) {
+        socket.emit('error', { message: 'Too many reactions. Please slow down.' });
+        return;
+      }
+
+      const webinar = await Webinar.findOne({ roomId });
+      if (!webinar || !webinar.settings.allowReactions) {
+        socket.emit('error', { message: 'Reactions are disabled' });
+        return;
+      }
+
+      const reactionData = {
+        userId: socket.user._id,
+        username: socket.user.username,
+        reaction,
+        timestamp: new Date()
+      };
+
+      // Broadcast to room
+      socket.to(roomId).emit('new-reaction', reactionData);
+
+    } catch (error) {
+      logger.error('Send reaction error:', error);
+    }
+  }
+
+  // Hand Raise Handlers
+  async handleRaiseHand(socket, data) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId) return;
+
+      const userId = socket.user._id.toString();
+      const raisedAt = Date.now();
+
+      // NX keeps the original position if the hand was already up
+      const added = await this.redis.zAdd(ROOM_HANDS_KEY(roomId), { score: raisedAt, value: userId }, { condition: 'NX' });
+      if (!added) return;
+
+      await this.updateParticipantState(roomId, userId, { handRaised: true });
+
+      await Webinar.updateOne({
+        roomId,
+        participants: { $elemMatch: { user: socket.user._id, leftAt: null } }
+      }, {
+        $inc: { 'participants.$.handRaises': 1, 'analytics.handRaises': 1 }
+      });
+
+      this.io.to(await this.getSessionChannels(roomId)).emit('hand-raised', {
+        userId: socket.user._id,
+        username: socket.user.username,
+        firstName: socket.user.firstName,
+        lastName: socket.user.lastName,
+        raisedAt: new Date(raisedAt)
+      });
+
+      await this.broadcastHandQueue(roomId);
+
+    } catch (error) {
+      logger.error('Raise hand error:', error);
+    }
+  }
+
+  async handleLowerHand(socket, data) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId) return;
+
+      await this.lowerHand(roomId, socket.user._id.toString());
+
+    } catch (error) {
+      logger.error('Lower hand error:', error);
+    }
+  }
+
+  async handleGetHandQueue(socket) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId) return;
+
+      socket.emit('hand-queue', await this.getHandQueue(roomId));
+
+    } catch (error) {
+      logger.error('Get hand queue error:', error);
+    }
+  }
+
+  // Call on the first raised hand (or data.userId), optionally granting
+  // temporary mic and/or screen share permission: { grants: ['audio', 'screenShare'], duration }
+  async handleCallNextHand(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_HANDS);
+      if (!webinar) return;
+
+      const roomId = webinar.roomId;
+      let userId;
+
+      if (data.userId) {
+        const removed = await this.redis.zRem(ROOM_HANDS_KEY(roomId), data.userId.toString());
+        userId = removed ? data.userId.toString() : null;
+      } else {
+        const next = await this.redis.zPopMin(ROOM_HANDS_KEY(roomId));
+        userId = next ? next.value : null;
+      }
+
+      if (!userId) {
+        socket.emit('error', { message: 'No raised hands in the queue' });
+        return;
+      }
+
+      await this.updateParticipantState(roomId, userId, { handRaised: false });
+
+      const grants = (Array.isArray(data.grants) ? data.grants : [])
+        .filter(grant => SPEAKER_GRANTS.includes(grant));
+      const duration = Math.min(parseInt(data.duration) || DEFAULT_SPEAKER_GRANT_SECONDS, MAX_SPEAKER_GRANT_SECONDS);
+
+      if (grants.length) {
+        await this.redis.set(SPEAKER_GRANT_KEY(roomId, userId), JSON.stringify(grants), { EX: duration });
+      }
+
+      await Webinar.updateOne({ roomId }, { $inc: { 'analytics.handsCalled': 1 } });
+
+      const participant = (await this.getRoomParticipants(roomId))
+        .find(p => p.userId.toString() === userId);
+
+      this.io.to(await this.getSessionChannels(roomId)).emit('hand-called', {
+        userId,
+        username: participant ? participant.username : null,
+        calledBy: socket.user.username,
+        grants
+      });
+      this.io.to(`user:${userId}`).emit('called-on', {
+        roomId,
+        grants,
+        expiresAt: grants.length ? new Date(Date.now() + duration * 1000) : null
+      });
+
+      await this.broadcastHandQueue(roomId);
+
+    } catch (error) {
+      logger.error('Call next hand error:', error);
+    }
+  }
+
+  async handleLowerAllHands(socket) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_HANDS);
+      if (!webinar) return;
+
+      const roomId = webinar.roomId;
+      const userIds = await this.redis.zRange(ROOM_HANDS_KEY(roomId), 0, -1);
+
+      await this.redis.del(ROOM_HANDS_KEY(roomId));
+      for (const userId of userIds) {
+        await this.updateParticipantState(roomId, userId, { handRaised: false });
+      }
+
+      this.io.to(await this.getSessionChannels(roomId)).emit('all-hands-lowered', { loweredBy: socket.user.username });
+      await this.broadcastHandQueue(roomId);
+
+    } catch (error) {
+      logger.error('Lower all hands error:', error);
+    }
+  }
+
+  // End a temporary speaker grant early
+  async handleRevokeSpeaker(socket, data) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_HANDS);
+      if (!webinar || !data.userId) return;
+
+      await this.redis.del(SPEAKER_GRANT_KEY(webinar.roomId, data.userId));
+      this.io.to(`user:${data.userId}`).emit('speaker-revoked', { roomId: webinar.roomId });
+
+    } catch (error) {
+      logger.error('Revoke speaker error:', error);
+    }
+  }
+
+  async lowerHand(roomId, userId) {
+    const removed = await this.redis.zRem(ROOM_HANDS_KEY(roomId), userId);
+    if (!removed) return;
+
+    await this.updateParticipantState(roomId, userId, { handRaised: false });
+
+    this.io.to(await this.getSessionChannels(roomId)).emit('hand-lowered', { userId });
+    await this.broadcastHandQueue(roomId);
+  }
+
+  async broadcastHandQueue(roomId) {
+    this.io.to(await this.getSessionChannels(roomId)).emit('hand-queue', await this.getHandQueue(roomId));
+  }
+
+  // Temporary permission handed out when a host calls on a raised hand
+  async hasSpeakerGrant(roomId, userId, grant) {
+    const grants = await this.redis.get(SPEAKER_GRANT_KEY(roomId, userId));
+    return Boolean(grants) && JSON.parse(grants).includes(grant);
+  }
+
+  // Stage Handlers
+  // Hosts, co-hosts and presenters are always on stage; attendees only once a
+  // host brings them up. Off stage, attendees can watch and listen but not publish.
+  async handleBringToStage(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_STAGE);
+      if (!webinar || !data.userId) return;
+
+      const roomId = webinar.roomId;
+      const userId = data.userId.toString();
+
+      if (!(await this.getPresenceRole(roomId, userId))) {
+        socket.emit('error', { message: 'Participant is not in the room' });
+        return;
+      }
+
+      await this.redis.sAdd(ROOM_STAGE_KEY(roomId), userId);
+
+      // Coming up from the hand-raise list answers the raised hand
+      await this.lowerHand(roomId, userId);
+
+      this.io.to(`user:${userId}`).emit('brought-to-stage', { roomId, by: socket.user.username });
+      await this.broadcastStage(roomId);
+
+    } catch (error) {
+      logger.error('Bring to stage error:', error);
+    }
+  }
+
+  async handleRemoveFromStage(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_STAGE);
+      if (!webinar || !data.userId) return;
+
+      const roomId = webinar.roomId;
+      const userId = data.userId.toString();
+
+      const removed = await this.redis.sRem(ROOM_STAGE_KEY(roomId), userId);
+      await this.redis.del(SPEAKER_GRANT_KEY(roomId, userId));
+      if (!removed) return;
+
+      if (await this.redis.get(ROOM_SPOTLIGHT_KEY(roomId)) === userId) {
+        await this.redis.del(ROOM_SPOTLIGHT_KEY(roomId));
+      }
+
+      if (webinar.getUserRole(userId) === 'attendee') {
+        await this.stopPublishing(roomId, userId);
+      }
+
+      this.io.to(`user:${userId}`).emit('removed-from-stage', { roomId, by: socket.user.username });
+      await this.broadcastStage(roomId);
+
+    } catch (error) {
+      logger.error('Remove from stage error:', error);
+    }
+  }
+
+  // Spotlight one speaker on stage for everyone (null clears the spotlight)
+  async handleSpotlightParticipant(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_STAGE);
+      if (!webinar) return;
+
+      const roomId = webinar.roomId;
+
+      if (!data.userId) {
+        await this.redis.del(ROOM_SPOTLIGHT_KEY(roomId));
+      } else {
+        const userId = data.userId.toString();
+
+        if (!(await this.getPresenceRole(roomId, userId)) || !(await this.isOnStage(roomId, userId))) {
+          socket.emit('error', { message: 'Only participants on stage can be spotlighted' });
+          return;
+        }
+
+        await this.redis.set(ROOM_SPOTLIGHT_KEY(roomId), userId);
+      }
+
+      await this.broadcastStage(roomId);
+
+    } catch (error) {
+      logger.error('Spotlight participant error:', error);
+    }
+  }
+
+  // Turn off a participant's microphone, camera and screen share
+  async stopPublishing(roomId, userId) {
+    this.io.to(`user:${userId}`).emit('force-mute');
+    this.io.to(`user:${userId}`).emit('force-video-off');
+
+    const participant = (await this.getRoomParticipants(roomId))
+      .find(p => p.userId.toString() === userId.toString());
+    if (!participant) return;
+
+    await this.updateParticipantState(roomId, userId, {
+      audioEnabled: false,
+      videoEnabled: false,
+      screenSharing: false
+    });
+
+    if (participant.audioEnabled) {
+      this.io.to(roomId).emit('participant-audio-changed', { userId, audioEnabled: false });
+    }
+    if (participant.videoEnabled) {
+      this.io.to(roomId).emit('participant-video-changed', { userId, videoEnabled: false });
+    }
+    if (await this.endScreenShare(roomId, userId)) {
+      this.io.to(`user:${userId}`).emit('force-stop-screen-share');
+    }
+  }
+
+  // Attendees leaving the room also leave the stage
+  async leaveStage(roomId, userId) {
+    const removed = await this.redis.sRem(ROOM_STAGE_KEY(roomId), userId.toString());
+    const spotlighted = await this.redis.get(ROOM_SPOTLIGHT_KEY(roomId)) === userId.toString();
+
+    if (spotlighted) {
+      await this.redis.del(ROOM_SPOTLIGHT_KEY(roomId));
+    }
+
+    if (removed || spotlighted) {
+      await this.broadcastStage(roomId);
+    }
+  }
+
+  async broadcastStage(roomId) {
+    this.io.to(roomId).emit('stage-updated', await this.getStageState(roomId));
+  }
+
+  // Host Control Handlers
+  async handleMuteParticipant(socket, data) {
+    try {
       const { userId } = data;
       const roomId = socket.currentRoom;
-      
-      if (!roomId) return;
+      
+      if (!roomId) return;
+
+      const webinar = await Webinar.findOne({ roomId });
+      if (!webinar) return;
+
+      // Check if user can mute others
+      if (!webinar.can(socket.user._id, PERMISSIONS.MUTE)) {
+        socket.emit('error', { message: 'Only hosts can mute participants' });
+        return;
+      }
+
+      // Mute the participant
+      this.io.to(`user:${userId}`).emit('force-mute');
+      
+      await this.updateParticipantState(roomId, userId, { audioEnabled: false });
+
+      socket.to(roomId).emit('participant-audio-changed', {
+        userId,
+        audioEnabled: false
+      });
+
+    } catch (error) {
+      logger.error('Mute participant error:', error);
+    }
+  }
+
+  async handleRemoveParticipant(socket, data) {
+    try {
+      const { userId, ban, reason } = data;
+      const roomId = socket.currentRoom;
+      
+      if (!roomId || !userId) return;
+
+      if (!OBJECT_ID_PATTERN.test(userId)) {
+        socket.emit('error', { message: 'Invalid user id' });
+        return;
+      }
+
+      const webinar = await Webinar.findOne({ roomId });
+      if (!webinar) return;
+
+      // Check if user can remove others
+      if (!webinar.can(socket.user._id, PERMISSIONS.REMOVE)) {
+        socket.emit('error', { message: 'Only hosts can remove participants' });
+        return;
+      }
+
+      if (ban && !BAN_SCOPES.includes(ban)) {
+        socket.emit('error', { message: 'Invalid ban scope' });
+        return;
+      }
+
+      if (webinar.isHostUser(userId)) {
+        socket.emit('error', { message: 'Cannot remove the host' });
+        return;
+      }
+
+      if (!webinar.outranks(socket.user._id, userId)) {
+        socket.emit('error', { message: 'Cannot remove a participant with the same or a higher role' });
+        return;
+      }
+
+      if (ban === 'host' && !webinar.can(socket.user._id, PERMISSIONS.ASSIGN_ROLES)) {
+        socket.emit('error', { message: 'Only the host can ban from all of their webinars' });
+        return;
+      }
+
+      await this.removeParticipant(webinar, userId, { ban, reason }, socket.user._id);
+
+    } catch (error) {
+      logger.error('Remove participant error:', error);
+    }
+  }
+
+  // Evict a user's sockets from the room (and lobby), optionally banning them
+  // for this webinar ('webinar') or for all of the host's webinars ('host')
+  async removeParticipant(webinar, userId, { ban, reason } = {}, removedBy) {
+    const roomId = webinar.roomId;
+    userId = userId.toString();
+    reason = reason || 'Removed by host';
+
+    if (ban) {
+      await Ban.ban(webinar, userId, ban, removedBy, reason);
+    }
+
+    // A removed user has to go through the lobby again
+    await this.redis.sRem(ROOM_ADMITTED_KEY(roomId), userId);
+    await this.removeFromWaitingRoom(roomId, userId, reason);
+
+    const sockets = await this.io.in(`user:${userId}`).fetchSockets();
+    const roomSockets = sockets.filter(userSocket => userSocket.currentRoom === roomId);
+
+    for (const userSocket of roomSockets) {
+      userSocket.emit('removed-from-room', { roomId, reason, banned: Boolean(ban) });
+      await this.leaveRoom(userSocket, roomId);
+    }
+
+    // Clean up a stale presence entry left without a connected socket
+    if (!roomSockets.length && await this.removePresence(roomId, userId)) {
+      this.io.to(roomId).emit('participant-left', { userId });
+    }
+
+    logger.info(`User ${userId} removed from room ${roomId}${ban ? ` (banned: ${ban})` : ''}`);
+  }
+
+  // Room-wide Control Handlers
+  // Mute every attendee; with preventUnmute they can only unmute again once
+  // the host allows it (allow-unmute) or asks them to (request-unmute)
+  async handleMuteAll(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MUTE);
+      if (!webinar) return;
+
+      const roomId = webinar.roomId;
+      const participants = await this.getRoomParticipants(roomId);
+
+      for (const participant of participants) {
+        if (participant.role !== 'attendee') continue;
+
+        this.io.to(`user:${participant.userId}`).emit('force-mute');
+
+        if (participant.audioEnabled) {
+          await this.updateParticipantState(roomId, participant.userId, { audioEnabled: false });
+          this.io.to(roomId).emit('participant-audio-changed', {
+            userId: participant.userId,
+            audioEnabled: false
+          });
+        }
+      }
+
+      await this.redis.del(ROOM_UNMUTE_ALLOWED_KEY(roomId));
+      await this.setRoomControls(roomId, { audioLocked: Boolean(data.preventUnmute) });
+
+      logger.info(`All attendees muted in room ${roomId} by ${socket.user.username}`);
+
+    } catch (error) {
+      logger.error('Mute all error:', error);
+    }
+  }
+
+  async handleAllowUnmute(socket) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MUTE);
+      if (!webinar) return;
+
+      await this.redis.del(ROOM_UNMUTE_ALLOWED_KEY(webinar.roomId));
+      await this.setRoomControls(webinar.roomId, { audioLocked: false });
+
+    } catch (error) {
+      logger.error('Allow unmute error:', error);
+    }
+  }
+
+  // Ask a participant to unmute; it's up to them to accept
+  async handleRequestUnmute(socket, data) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MUTE);
+      if (!webinar || !data.userId) return;
+
+      const roomId = webinar.roomId;
+
+      // Lets the user past a mute-all lock until the next mute-all
+      await this.redis.sAdd(ROOM_UNMUTE_ALLOWED_KEY(roomId), data.userId.toString());
+
+      this.io.to(`user:${data.userId}`).emit('unmute-requested', {
+        roomId,
+        requestedBy: socket.user.username
+      });
+
+    } catch (error) {
+      logger.error('Request unmute error:', error);
+    }
+  }
+
+  // Turn off (and keep off) every attendee's camera, or allow cameras again
+  async handleSetAttendeeVideo(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MUTE);
+      if (!webinar) return;
+
+      const roomId = webinar.roomId;
+      const videoDisabled = !data.enabled;
+
+      if (videoDisabled) {
+        const participants = await this.getRoomParticipants(roomId);
+
+        for (const participant of participants) {
+          if (participant.role !== 'attendee') continue;
+
+          this.io.to(`user:${participant.userId}`).emit('force-video-off');
+
+          if (participant.videoEnabled) {
+            await this.updateParticipantState(roomId, participant.userId, { videoEnabled: false });
+            this.io.to(roomId).emit('participant-video-changed', {
+              userId: participant.userId,
+              videoEnabled: false
+            });
+          }
+        }
+      }
+
+      await this.setRoomControls(roomId, { videoDisabled });
+
+    } catch (error) {
+      logger.error('Set attendee video error:', error);
+    }
+  }
+
+  // Block new attendees from joining (those already in the room stay)
+  async handleLockRoom(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_LOBBY);
+      if (!webinar) return;
+
+      await this.setRoomControls(webinar.roomId, { locked: data.locked !== false });
+
+      logger.info(`Room ${webinar.roomId} ${data.locked !== false ? 'locked' : 'unlocked'} by ${socket.user.username}`);
+
+    } catch (error) {
+      logger.error('Lock room error:', error);
+    }
+  }
+
+  // Breakout Room Handlers
+  // Split the room into `count` breakout rooms (optionally named); replaces
+  // any earlier setup that hasn't been opened yet
+  async handleCreateBreakouts(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_BREAKOUTS);
+      if (!webinar) return;
+
+      const roomId = webinar.roomId;
+      const count = parseInt(data.count);
+
+      if (webinar.status !== 'live') {
+        socket.emit('error', { message: 'Breakout rooms are only available while the webinar is live' });
+        return;
+      }
+
+      if (!(count >= 1 && count <= MAX_BREAKOUT_ROOMS)) {
+        socket.emit('error', { message: `Create between 1 and ${MAX_BREAKOUT_ROOMS} breakout rooms` });
+        return;
+      }
+
+      const existing = await this.getBreakouts(roomId);
+      if (existing && existing.status === 'open') {
+        socket.emit('error', { message: 'Close the open breakout rooms first' });
+        return;
+      }
+
+      const names = Array.isArray(data.names) ? data.names : [];
+      const rooms = Array.from({ length: count }, (_, index) => ({
+        id: String(index + 1),
+        name: (typeof names[index] === 'string' && names[index].trim().slice(0, 100)) || `Room ${index + 1}`
+      }));
+
+      await this.saveBreakouts(roomId, { status: 'pending', rooms, assignments: {}, endsAt: null });
+      await this.broadcastBreakouts(roomId);
+
+    } catch (error) {
+      logger.error('Create breakouts error:', error);
+    }
+  }
+
+  // Assign users manually ({ assignments: { userId: breakoutId | null } }) or
+  // spread the attendees currently in the main room evenly ({ random: true })
+  async handleAssignBreakouts(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_BREAKOUTS);
+      if (!webinar) return;
+
+      const roomId = webinar.roomId;
+      const breakouts = await this.getBreakouts(roomId);
+
+      if (!breakouts) {
+        socket.emit('error', { message: 'Create breakout rooms first' });
+        return;
+      }
+
+      const roomIds = breakouts.rooms.map(room => room.id);
+      const changes = {};
+
+      if (data.random) {
+        const attendees = (await this.getRoomParticipants(roomId))
+          .filter(participant => participant.role === 'attendee')
+          .map(participant => participant.userId.toString());
+
+        // Fisher-Yates shuffle, then deal out round-robin
+        for (let i = attendees.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [attendees[i], attendees[j]] = [attendees[j], attendees[i]];
+        }
+
+        attendees.forEach((userId, index) => {
+          changes[userId] = roomIds[index % roomIds.length];
+        });
+      } else {
+        Object.entries(data.assignments || {}).forEach(([userId, breakoutId]) => {
+          if (breakoutId === null || roomIds.includes(String(breakoutId))) {
+            changes[userId] = breakoutId === null ? null : String(breakoutId);
+          }
+        });
+      }
+
+      Object.entries(changes).forEach(([userId, breakoutId]) => {
+        if (breakoutId) {
+          breakouts.assignments[userId] = breakoutId;
+        } else {
+          delete breakouts.assignments[userId];
+        }
+      });
+
+      await this.saveBreakouts(roomId, breakouts);
+
+      // Reassignments while the rooms are open take effect right away
+      if (breakouts.status === 'open') {
+        for (const [userId, breakoutId] of Object.entries(changes)) {
+          await this.moveUserToAssignedRoom(webinar, breakouts, userId, breakoutId);
+        }
+      }
+
+      await this.broadcastBreakouts(roomId);
+
+    } catch (error) {
+      logger.error('Assign breakouts error:', error);
+    }
+  }
+
+  // Send every assigned user to their breakout room, optionally with a countdown (seconds)
+  async handleOpenBreakouts(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_BREAKOUTS);
+      if (!webinar) return;
+
+      const roomId = webinar.roomId;
+      const breakouts = await this.getBreakouts(roomId);
+
+      if (!breakouts || breakouts.status === 'open') {
+        socket.emit('error', { message: 'No breakout rooms ready to open' });
+        return;
+      }
+
+      const duration = Math.min(parseInt(data.duration) || 0, MAX_BREAKOUT_DURATION_SECONDS);
+
+      breakouts.status = 'open';
+      breakouts.endsAt = duration ? new Date(Date.now() + duration * 1000) : null;
+      await this.saveBreakouts(roomId, breakouts);
+
+      if (duration) {
+        this.scheduleBreakoutsClose(roomId, duration * 1000);
+      }
+
+      this.io.to(roomId).emit('breakouts-opened', {
+        rooms: breakouts.rooms,
+        endsAt: breakouts.endsAt
+      });
+
+      for (const [userId, breakoutId] of Object.entries(breakouts.assignments)) {
+        await this.moveUserToAssignedRoom(webinar, breakouts, userId, breakoutId);
+      }
+
+      await this.broadcastBreakouts(roomId);
+
+      logger.info(`Breakout rooms opened in room ${roomId} by ${socket.user.username}`);
+
+    } catch (error) {
+      logger.error('Open breakouts error:', error);
+    }
+  }
+
+  // Hosts can visit any breakout room, attendees (re)join the one they were assigned
+  async handleJoinBreakout(socket, data = {}) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId) return;
+
+      const webinar = await Webinar.findOne({ roomId });
+      const breakouts = await this.getBreakouts(roomId);
+      if (!webinar || !breakouts || breakouts.status !== 'open') return;
+
+      const breakoutId = String(data.breakoutId);
+      const room = breakouts.rooms.find(candidate => candidate.id === breakoutId);
+
+      if (!room) {
+        socket.emit('error', { message: 'Breakout room not found' });
+        return;
+      }
+
+      if (!webinar.can(socket.user._id, PERMISSIONS.MANAGE_BREAKOUTS) &&
+          breakouts.assignments[socket.user._id.toString()] !== breakoutId) {
+        socket.emit('error', { message: 'You are not assigned to this breakout room' });
+        return;
+      }
+
+      await this.moveToBreakout(socket, webinar, breakouts, room);
+      await this.broadcastBreakouts(roomId);
+
+    } catch (error) {
+      logger.error('Join breakout error:', error);
+    }
+  }
+
+  async handleLeaveBreakout(socket) {
+    try {
+      if (!socket.breakoutRoom) return;
+
+      const webinar = await Webinar.findOne({ roomId: socket.currentRoom });
+      if (!webinar) return;
+
+      await this.returnToMainRoom(socket, webinar);
+      await this.broadcastBreakouts(webinar.roomId);
+
+    } catch (error) {
+      logger.error('Leave breakout error:', error);
+    }
+  }
+
+  // Message from the host shown in every breakout room and the main room
+  async handleBroadcastToBreakouts(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_BREAKOUTS);
+      if (!webinar) return;
+
+      const message = typeof data.message === 'string' ? data.message.trim() : '';
+      if (!message || message.length > 1000) {
+        socket.emit('error', { message: 'Message must be between 1 and 1000 characters' });
+        return;
+      }
+
+      const roomId = webinar.roomId;
+      const breakouts = await this.getBreakouts(roomId);
+      if (!breakouts) return;
+
+      this.io.to([roomId, ...this.getBreakoutChannels(roomId, breakouts)]).emit('breakout-broadcast', {
+        message,
+        from: {
+          userId: socket.user._id,
+          username: socket.user.username,
+          firstName: socket.user.firstName,
+          lastName: socket.user.lastName
+        },
+        timestamp: new Date()
+      });
+
+    } catch (error) {
+      logger.error('Broadcast to breakouts error:', error);
+    }
+  }
+
+  // Recall everyone to the main room, right away or after a countdown (seconds)
+  async handleCloseBreakouts(socket, data = {}) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_BREAKOUTS);
+      if (!webinar) return;
+
+      const roomId = webinar.roomId;
+      const breakouts = await this.getBreakouts(roomId);
+      if (!breakouts) return;
+
+      const countdown = Math.min(parseInt(data.countdown) || 0, MAX_BREAKOUT_RECALL_COUNTDOWN_SECONDS);
+
+      if (countdown && breakouts.status === 'open') {
+        const closesAt = new Date(Date.now() + countdown * 1000);
+
+        this.io.to([roomId, ...this.getBreakoutChannels(roomId, breakouts)])
+          .emit('breakouts-closing', { closesAt });
+        this.scheduleBreakoutsClose(roomId, countdown * 1000);
+        return;
+      }
+
+      await this.closeBreakouts(roomId);
+
+    } catch (error) {
+      logger.error('Close breakouts error:', error);
+    }
+  }
+
+  async handleGetBreakouts(socket) {
+    try {
+      const webinar = await this.getControlledWebinar(socket, PERMISSIONS.MANAGE_BREAKOUTS);
+      if (!webinar) return;
+
+      socket.emit('breakouts-updated', await this.getBreakoutState(webinar.roomId));
+
+    } catch (error) {
+      logger.error('Get breakouts error:', error);
+    }
+  }
+
+  // Move a user's sockets to the breakout room they're assigned to (or back
+  // to the main room when unassigned)
+  async moveUserToAssignedRoom(webinar, breakouts, userId, breakoutId) {
+    const room = breakouts.rooms.find(candidate => candidate.id === breakoutId);
+    const sockets = (await this.io.in(`user:${userId}`).fetchSockets())
+      .filter(userSocket => userSocket.currentRoom === webinar.roomId);
+
+    for (const userSocket of sockets) {
+      if (room) {
+        await this.moveToBreakout(userSocket, webinar, breakouts, room);
+      } else if (userSocket.breakoutRoom) {
+        await this.returnToMainRoom(userSocket, webinar);
+      }
+    }
+  }
+
+  // Presence, chat, media state and signaling follow the socket into the breakout room
+  async moveToBreakout(socket, webinar, breakouts, room) {
+    const roomId = webinar.roomId;
+    const channel = BREAKOUT_ROOM_ID(roomId, room.id);
+    const userId = socket.user._id.toString();
+
+    if (socket.breakoutRoom === channel) return;
+
+    if (socket.breakoutRoom) {
+      await this.leaveBreakout(socket);
+    } else {
+      await this.lowerHand(roomId, userId);
+      await this.endScreenShare(roomId, userId);
+
+      socket.leave(roomId);
+      if (await this.removePresence(roomId, userId)) {
+        this.io.to(roomId).emit('participant-left', {
+          userId: socket.user._id,
+          username: socket.user.username
+        });
+      }
+    }
+
+    const participantRole = this.getUserRoleInWebinar(socket.user, webinar);
+
+    socket.join(channel);
+    socket.breakoutRoom = channel;
+    await this.redis.sAdd(ROOM_PRESENCE_KEY(channel), JSON.stringify(this.buildPresenceEntry(socket, participantRole)));
+
+    socket.to(channel).emit('participant-joined', {
+      user: {
+        id: socket.user._id,
+        username: socket.user.username,
+        firstName: socket.user.firstName,
+        lastName: socket.user.lastName,
+        role: participantRole
+      }
+    });
+
+    socket.emit('breakout-joined', {
+      roomId: channel,
+      breakoutId: room.id,
+      name: room.name,
+      endsAt: breakouts.endsAt,
+      participants: await this.getRoomParticipants(channel),
+      screenSharer: await this.redis.get(ROOM_SCREEN_SHARE_KEY(channel))
+    });
+    socket.emit('chat-history', await this.getChatHistory(channel));
+  }
+
+  async leaveBreakout(socket) {
+    const channel = socket.breakoutRoom;
+    if (!channel) return;
+
+    await this.endScreenShare(channel, socket.user._id);
+    await this.removePresence(channel, socket.user._id.toString());
+
+    socket.leave(channel);
+    socket.breakoutRoom = null;
+
+    this.io.to(channel).emit('participant-left', {
+      userId: socket.user._id,
+      username: socket.user.username
+    });
+  }
+
+  async returnToMainRoom(socket, webinar) {
+    await this.leaveBreakout(socket);
+
+    socket.emit('breakout-left', { roomId: webinar.roomId });
+    await this.enterRoom(socket, webinar);
+  }
+
+  async closeBreakouts(roomId) {
+    this.clearBreakoutsTimer(roomId);
+
+    const breakouts = await this.getBreakouts(roomId);
+    if (!breakouts) return;
+
+    const webinar = await Webinar.findOne({ roomId });
+    const channels = this.getBreakoutChannels(roomId, breakouts);
+
+    // Drop the state first so nobody joins a breakout room during the recall
+    await this.redis.del(ROOM_BREAKOUTS_KEY(roomId));
+
+    if (webinar && channels.length) {
+      const sockets = await this.io.in(channels).fetchSockets();
+      for (const breakoutSocket of sockets) {
+        await this.returnToMainRoom(breakoutSocket, webinar);
+      }
+    }
+
+    await this.redis.del(channels.flatMap(channel => this.getMediaRoomKeys(channel)));
+
+    this.io.to(roomId).emit('breakouts-closed', { roomId });
+    await this.broadcastBreakouts(roomId);
+
+    logger.info(`Breakout rooms closed in room ${roomId}`);
+  }
+
+  scheduleBreakoutsClose(roomId, delay) {
+    this.clearBreakoutsTimer(roomId);
+
+    this.breakoutTimers.set(roomId, setTimeout(() => {
+      this.breakoutTimers.delete(roomId);
+      this.closeBreakouts(roomId).catch(error => {
+        logger.error('Breakouts timer error:', error);
+      });
+    }, delay));
+  }
+
+  clearBreakoutsTimer(roomId) {
+    const timer = this.breakoutTimers.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      this.breakoutTimers.delete(roomId);
+    }
+  }
+
+  async broadcastBreakouts(roomId) {
+    this.io.to(HOSTS_CHANNEL(roomId)).emit('breakouts-updated', await this.getBreakoutState(roomId));
+  }
+
+  // Host Handover Handlers
+  // Hand host controls to another participant in the room. The active host can
+  // pass them on; the owner of the webinar can always take them back.
+  async handleTransferHost(socket, data = {}) {
+    try {
+      const roomId = socket.currentRoom;
+      if (!roomId || !data.userId) return;
 
       const webinar = await Webinar.findOne({ roomId });
       if (!webinar) return;
 
-      // Check if user is host
-      if (webinar.host.toString() !== socket.user._id.toString()) {
-        socket.emit('error', { message: 'Only host can remove participants' });
+      const userId = socket.user._id.toString();
+      if (webinar.getActiveHostId() !== userId && webinar.host.toString() !== userId) {
+        socket.emit('error', { message: 'Only the host can hand over host controls' });
+        return;
+      }
+
+      if (webinar.status !== 'live') {
+        socket.emit('error', { message: 'Webinar is not live' });
+        return;
+      }
+
+      if (webinar.getActiveHostId() === data.userId.toString()) return;
+
+      if (!(await this.isUserInRoom(roomId, data.userId))) {
+        socket.emit('error', { message: 'The new host must be in the room' });
         return;
       }
 
-      // Remove the participant
-      this.io.to(`user:${userId}`).emit('removed-from-room', {
-        reason: 'Removed by host'
+      await this.transferHost(webinar, data.userId, socket.user._id);
+
+    } catch (error) {
+      logger.error('Transfer host error:', error);
+    }
+  }
+
+  // Make userId the active host (handing back to the owner clears the handover)
+  async transferHost(webinar, userId, transferredBy) {
+    const roomId = webinar.roomId;
+    const previousHostId = webinar.getActiveHostId();
+    userId = userId.toString();
+
+    webinar.activeHost = userId === webinar.host._id.toString() ? null : userId;
+    await webinar.save();
+
+    await this.clearHostGrace(roomId);
+
+    await this.applyRoleChange(webinar, previousHostId);
+    await this.applyRoleChange(webinar, userId);
+
+    this.io.to(await this.getSessionChannels(roomId)).emit('host-transferred', {
+      userId,
+      previousHostId,
+      transferredBy: transferredBy || null // null when transferred automatically
+    });
+
+    logger.info(`Host of room ${roomId} handed over from ${previousHostId} to ${userId}`);
+  }
+
+  // The host's last socket left a live room: tell the room and give them
+  // settings.hostReconnectGrace seconds to come back
+  async startHostGrace(webinar) {
+    const roomId = webinar.roomId;
+    const grace = webinar.settings.hostReconnectGrace;
+    const until = new Date(Date.now() + grace * 1000);
+
+    this.clearHostGraceTimer(roomId);
+
+    if (grace) {
+      await this.redis.set(ROOM_HOST_GRACE_KEY(roomId), until.toISOString(), { EX: grace });
+      this.io.to(await this.getSessionChannels(roomId)).emit('host-reconnecting', { roomId, until });
+    }
+
+    // The deadline is kept in Redis, so the lifecycle job can still act on it
+    // if this process restarts before its timer fires
+    await this.redis.zAdd(HOST_GRACE_DEADLINES_KEY, { score: until.getTime(), value: roomId });
+
+    this.hostGraceTimers.set(roomId, setTimeout(() => {
+      this.hostGraceTimers.delete(roomId);
+      this.expireHostGrace(roomId).catch(error => {
+        logger.error('Host grace timer error:', error);
       });
+    }, grace * 1000));
+
+    logger.info(`Host left live room ${roomId}, waiting ${grace}s for them to return`);
+  }
+
+  // Grace periods whose deadline passed without a timer acting on it (e.g. it
+  // was lost to a restart); run by the lifecycle job
+  async expireHostGraces() {
+    const roomIds = await this.redis.zRangeByScore(HOST_GRACE_DEADLINES_KEY, 0, Date.now());
+
+    for (const roomId of roomIds) {
+      try {
+        await this.expireHostGrace(roomId);
+      } catch (error) {
+        logger.error(`Expire host grace of room ${roomId} error:`, error);
+      }
+    }
+  }
+
+  async expireHostGrace(roomId) {
+    this.clearHostGraceTimer(roomId);
+
+    // Only the process that takes the deadline off the set acts on it
+    const claimed = await this.redis.zRem(HOST_GRACE_DEADLINES_KEY, roomId);
+    if (!claimed) return;
+
+    await this.handleHostGraceExpired(roomId);
+  }
+
+  // No host came back: hand over to a co-host in the room, or end the
+  // webinar, as configured; otherwise the room carries on without a host
+  async handleHostGraceExpired(roomId) {
+    await this.redis.del(ROOM_HOST_GRACE_KEY(roomId));
+
+    const webinar = await Webinar.findOne({ roomId });
+    if (!webinar || webinar.status !== 'live') return;
+
+    if (await this.isUserInRoom(roomId, webinar.getActiveHostId())) return;
+
+    if (webinar.settings.autoTransferHost) {
+      const cohost = (await this.getRoomParticipants(roomId))
+        .filter(participant => webinar.getUserRole(participant.userId) === 'cohost')
+        .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt))[0];
+
+      if (cohost) {
+        await this.transferHost(webinar, cohost.userId, null);
+        return;
+      }
+    }
+
+    if (webinar.settings.autoEndWithoutHost) {
+      await webinar.endWebinar();
+      await this.closeRoom(roomId, 'Webinar ended because the host did not return');
+
+      logger.info(`Webinar ${webinar.title} ended after its host did not return`);
+      return;
+    }
+
+    this.io.to(await this.getSessionChannels(roomId)).emit('host-absent', { roomId });
+  }
+
+  // The host is back (or someone else took over) before the grace period ran out
+  async clearHostGrace(roomId) {
+    this.clearHostGraceTimer(roomId);
+    await this.redis.zRem(HOST_GRACE_DEADLINES_KEY, roomId);
+
+    const removed = await this.redis.del(ROOM_HOST_GRACE_KEY(roomId));
+    return removed > 0;
+  }
+
+  clearHostGraceTimer(roomId) {
+    const timer = this.hostGraceTimers.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      this.hostGraceTimers.delete(roomId);
+    }
+  }
+
+  // Whether any of the user's sockets is in the room (main or breakout)
+  async isUserInRoom(roomId, userId) {
+    const sockets = await this.io.in(`user:${userId}`).fetchSockets();
+    return sockets.some(userSocket => userSocket.currentRoom === roomId);
+  }
+
+  // Role Management Handlers
+  async handleAssignRole(socket, data) {
+    try {
+      const { userId, role } = data;
+      const roomId = socket.currentRoom;
+
+      if (!roomId || !userId) return;
+
+      // A null role moves the user back to attendee
+      if (role && !ASSIGNABLE_ROLES.includes(role)) {
+        socket.emit('error', { message: 'Invalid role' });
+        return;
+      }
+
+      const webinar = await Webinar.findOne({ roomId });
+      if (!webinar) return;
+
+      // Check if user can assign roles
+      if (!webinar.can(socket.user._id, PERMISSIONS.ASSIGN_ROLES)) {
+        socket.emit('error', { message: 'Only the host can assign roles' });
+        return;
+      }
+
+      if (webinar.host.toString() === userId.toString()) {
+        socket.emit('error', { message: 'Cannot change the role of the host' });
+        return;
+      }
+
+      if (role) {
+        webinar.assignRole(userId, role, socket.user._id);
+      } else {
+        webinar.unassignRole(userId);
+      }
+      await webinar.save();
+
+      await this.applyRoleChange(webinar, userId.toString());
+
+      logger.info(`User ${userId} is now ${role || 'attendee'} in room ${roomId} (by ${socket.user.username})`);
 
     } catch (error) {
-      logger.error('Remove participant error:', error);
+      logger.error('Assign role error:', error);
     }
   }
 
+  // Push a role change to the room and to the affected user, wherever it was made
+  async applyRoleChange(webinar, userId) {
+    const roomId = webinar.roomId;
+    const role = webinar.getUserRole(userId);
+    const canManageLobby = webinar.can(userId, PERMISSIONS.MANAGE_LOBBY);
+
+    await this.updateParticipantState(roomId, userId, { role });
+
+    const sockets = await this.io.in(`user:${userId}`).fetchSockets();
+    sockets
+      .filter(userSocket => userSocket.currentRoom === roomId)
+      .forEach(userSocket => {
+        if (canManageLobby) {
+          userSocket.join(HOSTS_CHANNEL(roomId));
+        } else {
+          userSocket.leave(HOSTS_CHANNEL(roomId));
+        }
+      });
+
+    this.io.to(`user:${userId}`).emit('role-updated', {
+      webinarId: webinar._id,
+      roomId,
+      role,
+      permissions: webinar.getPermissions(userId)
+    });
+
+    this.io.to(await this.getSessionChannels(roomId)).emit('participant-role-changed', { userId, role });
+  }
+
   async handleDisconnect(socket) {
     try {
       logger.info(`User disconnected: ${socket.user.username} (${socket.id})`);
 
+      // Step out of the waiting room, keeping the queue position for a reconnect
+      if (socket.lobbyRoom) {
+        await this.leaveWaitingRoom(socket, socket.lobbyRoom, { keepPosition: true });
+      }
+
       // Leave current room if in one
       if (socket.currentRoom) {
         await this.leaveRoom(socket, socket.currentRoom);
@@ -527,12 +3136,72 @@ class SocketHandler {
     }
   }
 
+  // Tear down a room whose webinar was ended outside of the socket flow
+  async closeRoom(roomId, reason) {
+    try {
+      this.clearBreakoutsTimer(roomId);
+      this.clearHostGraceTimer(roomId);
+      const breakoutChannels = this.getBreakoutChannels(roomId, await this.getBreakouts(roomId));
+      const channels = [roomId, LOBBY_CHANNEL(roomId), ...breakoutChannels];
+
+      this.io.to(channels).emit('webinar-ended', { roomId, reason });
+
+      const sockets = await this.io.in(channels).fetchSockets();
+      sockets.forEach(roomSocket => {
+        roomSocket.leave(roomId);
+        roomSocket.leave(HOSTS_CHANNEL(roomId));
+        roomSocket.leave(LOBBY_CHANNEL(roomId));
+        if (roomSocket.breakoutRoom) {
+          roomSocket.leave(roomSocket.breakoutRoom);
+        }
+        roomSocket.currentRoom = null;
+        roomSocket.lobbyRoom = null;
+        roomSocket.breakoutRoom = null;
+      });
+
+      // Polls and quizzes still open when the session ends are closed as they are
+      const webinar = await Webinar.findOne({ roomId }).select('_id');
+      if (webinar) {
+        await Poll.updateMany(
+          { webinar: webinar._id, status: 'live' },
+          { $set: { status: 'closed', closedAt: new Date() } }
+        );
+
+        const liveQuizzes = await Quiz.find({ webinar: webinar._id, status: 'live' });
+        for (const quiz of liveQuizzes) {
+          await this.closeQuiz(roomId, quiz);
+        }
+      }
+
+      await this.redis.del([
+        ROOM_PRESENCE_KEY(roomId),
+        ROOM_CHAT_KEY(roomId),
+        ROOM_CHAT_WARM_KEY(roomId),
+        ROOM_HANDS_KEY(roomId),
+        ROOM_STAGE_KEY(roomId),
+        ROOM_SPOTLIGHT_KEY(roomId),
+        ROOM_CONTROLS_KEY(roomId),
+        ROOM_UNMUTE_ALLOWED_KEY(roomId),
+        ROOM_BREAKOUTS_KEY(roomId),
+        ROOM_HOST_GRACE_KEY(roomId),
+        ROOM_LOBBY_KEY(roomId),
+        ROOM_ADMITTED_KEY(roomId),
+        ROOM_SCREEN_SHARE_KEY(roomId),
+        ROOM_SCREEN_SHARE_REQUEST_KEY(roomId),
+        ...breakoutChannels.flatMap(channel => this.getMediaRoomKeys(channel))
+      ]);
+      await this.redis.zRem(HOST_GRACE_DEADLINES_KEY, roomId);
+
+      logger.info(`Room ${roomId} closed: ${reason}`);
+
+    } catch (error) {
+      logger.error('Close room error:', error);
+    }
+  }
+
   // Helper Methods
   getUserRoleInWebinar(user, webinar) {
-    if (webinar.host._id.toString() === user._id.toString()) {
-      return 'host';
-    }
-    return 'attendee';
+    return webinar.getUserRole(user._id);
   }
 
   async getRoomParticipants(roomId) {
@@ -545,6 +3214,173 @@ class SocketHandler {
     }
   }
 
+  buildPresenceEntry(socket, role) {
+    return {
+      userId: socket.user._id,
+      socketId: socket.id,
+      username: socket.user.username,
+      firstName: socket.user.firstName,
+      lastName: socket.user.lastName,
+      role,
+      joinedAt: new Date(),
+      audioEnabled: false,
+      videoEnabled: false,
+      screenSharing: false,
+      handRaised: false
+    };
+  }
+
+  // Room the socket's media and chat currently go to: its breakout room, if in one
+  getMediaRoom(socket) {
+    return socket.breakoutRoom || socket.currentRoom;
+  }
+
+  // Signaling is only relayed between participants of the same (breakout) room
+  async isInMediaRoom(socket, userId) {
+    const channel = this.getMediaRoom(socket);
+    if (!channel || !userId) return false;
+
+    return (await this.getRoomParticipants(channel))
+      .some(participant => participant.userId.toString() === userId.toString());
+  }
+
+  // Off stage, attendees only receive media: there's nothing to connect
+  // between two of them in the main room
+  async canSignal(socket, userId) {
+    if (!(await this.isInMediaRoom(socket, userId))) return false;
+    if (socket.breakoutRoom) return true;
+
+    return await this.isOnStage(socket.currentRoom, socket.user._id) ||
+      await this.isOnStage(socket.currentRoom, userId);
+  }
+
+  // Hosts, co-hosts, presenters, attendees brought on stage, and attendees
+  // temporarily given the floor by being called on
+  async isOnStage(roomId, userId) {
+    const role = await this.getPresenceRole(roomId, userId);
+    if (role && role !== 'attendee') return true;
+
+    return await this.redis.sIsMember(ROOM_STAGE_KEY(roomId), userId.toString()) ||
+      Boolean(await this.redis.get(SPEAKER_GRANT_KEY(roomId, userId)));
+  }
+
+  async getStageState(roomId) {
+    return {
+      onStage: await this.redis.sMembers(ROOM_STAGE_KEY(roomId)),
+      spotlight: await this.redis.get(ROOM_SPOTLIGHT_KEY(roomId))
+    };
+  }
+
+  async getBreakouts(roomId) {
+    const breakouts = await this.redis.get(ROOM_BREAKOUTS_KEY(roomId));
+    return breakouts ? JSON.parse(breakouts) : null;
+  }
+
+  async saveBreakouts(roomId, breakouts) {
+    await this.redis.set(ROOM_BREAKOUTS_KEY(roomId), JSON.stringify(breakouts), { EX: BREAKOUT_STATE_TTL_SECONDS });
+  }
+
+  // Per-room state a breakout room has of its own
+  getMediaRoomKeys(channel) {
+    return [
+      ROOM_PRESENCE_KEY(channel),
+      ROOM_CHAT_KEY(channel),
+      ROOM_CHAT_WARM_KEY(channel),
+      ROOM_SCREEN_SHARE_KEY(channel),
+      ROOM_SCREEN_SHARE_REQUEST_KEY(channel)
+    ];
+  }
+
+  getBreakoutChannels(roomId, breakouts) {
+    return breakouts ? breakouts.rooms.map(room => BREAKOUT_ROOM_ID(roomId, room.id)) : [];
+  }
+
+  // The main room and its breakout rooms, for events that concern the whole
+  // session (Q&A, polls, quizzes, raised hands and who is hosting)
+  async getSessionChannels(roomId) {
+    return [roomId, ...this.getBreakoutChannels(roomId, await this.getBreakouts(roomId))];
+  }
+
+  async getBreakoutName(roomId, channel) {
+    const breakouts = await this.getBreakouts(roomId);
+    const room = breakouts && breakouts.rooms.find(candidate => BREAKOUT_ROOM_ID(roomId, candidate.id) === channel);
+    return room ? room.name : null;
+  }
+
+  // Breakout setup with who is in each room right now, for hosts
+  async getBreakoutState(roomId) {
+    const breakouts = await this.getBreakouts(roomId);
+    if (!breakouts) return null;
+
+    const rooms = [];
+    for (const room of breakouts.rooms) {
+      rooms.push({
+        ...room,
+        participants: await this.getRoomParticipants(BREAKOUT_ROOM_ID(roomId, room.id))
+      });
+    }
+
+    return { ...breakouts, rooms };
+  }
+
+  // Room-wide host controls; attendees are held to them
+  async getRoomControls(roomId) {
+    const controls = await this.redis.hGetAll(ROOM_CONTROLS_KEY(roomId));
+
+    return {
+      audioLocked: controls.audioLocked === 'true',
+      videoDisabled: controls.videoDisabled === 'true',
+      locked: controls.locked === 'true'
+    };
+  }
+
+  async setRoomControls(roomId, updates) {
+    const fields = {};
+    Object.entries(updates).forEach(([key, value]) => {
+      fields[key] = String(value);
+    });
+
+    await this.redis.hSet(ROOM_CONTROLS_KEY(roomId), fields);
+
+    this.io.to(roomId).emit('room-controls-updated', await this.getRoomControls(roomId));
+  }
+
+  // Role of a user currently in the room, as recorded in presence
+  async getPresenceRole(roomId, userId) {
+    const participant = (await this.getRoomParticipants(roomId))
+      .find(p => p.userId.toString() === userId.toString());
+    return participant ? participant.role : null;
+  }
+
+  async canUnmute(roomId, userId) {
+    const { audioLocked } = await this.getRoomControls(roomId);
+    if (!audioLocked || await this.getPresenceRole(roomId, userId) !== 'attendee') return true;
+
+    return await this.redis.sIsMember(ROOM_UNMUTE_ALLOWED_KEY(roomId), userId.toString()) ||
+      await this.hasSpeakerGrant(roomId, userId, 'audio');
+  }
+
+  // Room capacity, with the seats of confirmed registrants held for them
+  async hasSeatFor(webinar, userId, isRegistered) {
+    const participants = await this.getRoomParticipants(webinar.roomId);
+    return Registration.hasSeatFor(webinar, userId, isRegistered, participants.map(p => p.userId));
+  }
+
+  async canEnableVideo(roomId, userId) {
+    const { videoDisabled } = await this.getRoomControls(roomId);
+    return !videoDisabled || await this.getPresenceRole(roomId, userId) !== 'attendee';
+  }
+
+  async removePresence(roomId, userId) {
+    const participants = await this.redis.sMembers(ROOM_PRESENCE_KEY(roomId));
+    const userParticipant = participants.find(p => JSON.parse(p).userId === userId.toString());
+
+    if (!userParticipant) return false;
+
+    await this.redis.sRem(ROOM_PRESENCE_KEY(roomId), userParticipant);
+    return true;
+  }
+
   async updateParticipantState(roomId, userId, updates) {
     try {
       const participants = await this.redis.sMembers(ROOM_PRESENCE_KEY(roomId));
@@ -565,16 +3401,90 @@ class SocketHandler {
     }
   }
 
+  // Raised hands in the order they went up
+  async getHandQueue(roomId) {
+    try {
+      const entries = await this.redis.zRangeWithScores(ROOM_HANDS_KEY(roomId), 0, -1);
+      const participants = await this.getRoomParticipants(roomId);
+
+      return entries.map((entry, index) => {
+        const participant = participants.find(p => p.userId.toString() === entry.value) || {};
+        return {
+          userId: entry.value,
+          username: participant.username,
+          firstName: participant.firstName,
+          lastName: participant.lastName,
+          raisedAt: new Date(entry.score),
+          position: index + 1
+        };
+      });
+    } catch (error) {
+      logger.error('Get hand queue error:', error);
+      return [];
+    }
+  }
+
+  async getWaitingRoomQueue(roomId) {
+    try {
+      const entries = await this.redis.hVals(ROOM_LOBBY_KEY(roomId));
+      return entries
+        .map(entry => JSON.parse(entry))
+        .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+    } catch (error) {
+      logger.error('Get waiting room queue error:', error);
+      return [];
+    }
+  }
+
   async getChatHistory(roomId, limit = 50) {
     try {
-      const messages = await this.redis.lRange(ROOM_CHAT_KEY(roomId), 0, limit - 1);
-      return messages.map(msg => JSON.parse(msg)).reverse();
+      await this.warmChatCache(roomId);
+
+      const messages = (await this.redis.lRange(ROOM_CHAT_KEY(roomId), 0, limit - 1))
+        .map(msg => JSON.parse(msg));
+
+      // Pinned messages always reach late joiners, even when older than the recent window
+      const recentIds = new Set(messages.map(msg => msg.id));
+      const pinned = (await ChatMessage.findPinned(roomId))
+        .filter(message => !recentIds.has(message._id.toString()))
+        .map(message => message.toPayload());
+
+      return [...messages, ...pinned.reverse()].reverse();
     } catch (error) {
       logger.error('Get chat history error:', error);
       return [];
     }
   }
 
+  // Cold cache (e.g. after a restart or moderation): load the recent archive.
+  // Only the caller that claims the warm marker loads it, and the list is
+  // replaced in one transaction, so concurrent warm-ups can't duplicate messages.
+  async warmChatCache(roomId) {
+    const claimed = await this.redis.set(ROOM_CHAT_WARM_KEY(roomId), '1', {
+      NX: true,
+      EX: CHAT_CACHE_TTL_SECONDS
+    });
+    if (!claimed) return;
+
+    try {
+      const archived = await ChatMessage.find({ roomId, recipient: null, deletedAt: null })
+        .sort({ createdAt: -1 })
+        .limit(CHAT_CACHE_SIZE);
+
+      const transaction = this.redis.multi().del(ROOM_CHAT_KEY(roomId));
+      if (archived.length) {
+        transaction
+          .rPush(ROOM_CHAT_KEY(roomId), archived.map(message => JSON.stringify(message.toPayload())))
+          .expire(ROOM_CHAT_KEY(roomId), CHAT_CACHE_TTL_SECONDS);
+      }
+      await transaction.exec();
+    } catch (error) {
+      // Let the next caller try again
+      await this.redis.del(ROOM_CHAT_WARM_KEY(roomId));
+      throw error;
+    }
+  }
+
   async isRateLimited(userId, action, maxRequests, windowSeconds) {
     try {
       const key = RATE_LIMIT_KEY(userId, action);
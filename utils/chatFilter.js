@@ -0,0 +1,22 @@
+// Per-webinar blocked-words filter for chat messages
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Return the first blocked word or phrase found in the message (whole words,
+// case-insensitive), or null if the message is clean
+const findBlockedWord = (message, blockedWords = []) => {
+  for (const word of blockedWords) {
+    if (!word) continue;
+
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(word)}(?=$|[^\\p{L}\\p{N}_])`, 'iu');
+    if (pattern.test(message)) {
+      return word;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  findBlockedWord
+};
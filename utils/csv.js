@@ -0,0 +1,29 @@
+// Minimal CSV writer for exports
+
+// Quote a field when it contains separators, quotes or newlines.
+// Values starting with formula characters are prefixed so spreadsheets don't evaluate them.
+const escapeCsv = (value) => {
+  let field = value === undefined || value === null ? '' : String(value);
+
+  if (/^[=+\-@]/.test(field)) {
+    field = `'${field}`;
+  }
+
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+// Rows are objects keyed by column name
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(escapeCsv).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsv(row[column])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeCsv,
+  toCsv
+};
@@ -0,0 +1,112 @@
+// iCalendar (RFC 5545) generation for webinar downloads and subscription feeds
+
+const { APP_URL } = require('../config/app');
+
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'webinar-platform';
+const PRODID = '-//Webinar Platform//Webinar Calendar//EN';
+
+// Escape TEXT property values
+const escapeText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// 20261103T150000Z
+const formatUtc = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Fall back to UTC for unknown timezone names
+const resolveTimezone = (timezone) => {
+  if (!timezone) return 'UTC';
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+// UID stays the same for the lifetime of a webinar, so calendar clients
+// update the existing event on reschedule/cancel instead of adding a new one
+const getEventUid = (webinar) => `webinar-${webinar._id}@${UID_DOMAIN}`;
+
+// Times are always sent in UTC: a TZID parameter would need a matching
+// VTIMEZONE definition, and clients show UTC times in the user's own zone
+const buildEvent = (webinar) => {
+  const start = new Date(webinar.scheduledDate);
+  const end = new Date(start.getTime() + webinar.duration * 60 * 1000);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(webinar)}`,
+    `SEQUENCE:${webinar.sequence || 0}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `LAST-MODIFIED:${formatUtc(webinar.updatedAt || new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(webinar.title)}`,
+    `DESCRIPTION:${escapeText(webinar.description)}`,
+    `URL:${APP_URL}/webinars/${webinar._id}`,
+    `STATUS:${webinar.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (webinar.tags && webinar.tags.length > 0) {
+    lines.push(`CATEGORIES:${webinar.tags.map(escapeText).join(',')}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build a VCALENDAR document for a list of webinars
+const buildCalendar = (webinars, options = {}) => {
+  const timezone = resolveTimezone(options.timezone);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.name || 'Webinars')}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  webinars.forEach(webinar => {
+    lines.push(...buildEvent(webinar));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  getEventUid
+};
@@ -0,0 +1,62 @@
+const User = require('../models/User');
+const { EMAIL_WEBHOOK_URL, EMAIL_FROM, EMAIL_TIMEOUT_MS } = require('../config/app');
+const logger = require('./logger');
+
+const isEmailEnabled = () => Boolean(EMAIL_WEBHOOK_URL);
+
+// Send a plain text email through the configured relay. Failures (and a relay
+// that doesn't answer in time) are logged and never thrown, so a mail outage
+// can't break or stall the request that triggered it.
+const sendEmail = async ({ to, subject, text }) => {
+  if (!isEmailEnabled() || !to) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(EMAIL_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from: EMAIL_FROM, to, subject, text }),
+      signal: AbortSignal.timeout(EMAIL_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Email relay responded with ${response.status}`);
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Send email to ${to} error:`, error);
+    return false;
+  }
+};
+
+// Notify users over their personal socket room and, when configured, by email
+// to those who haven't turned email notifications off.
+// `email` is an optional { subject, text } message.
+const notifyUsers = async (io, userIds, event, payload, email) => {
+  const recipients = [...new Set(userIds.map(id => id.toString()))];
+
+  if (io) {
+    recipients.forEach(userId => {
+      io.to(`user:${userId}`).emit(event, payload);
+    });
+  }
+
+  if (!email || !isEmailEnabled() || !recipients.length) {
+    return;
+  }
+
+  const users = await User.find({
+    _id: { $in: recipients },
+    isActive: true,
+    'preferences.notifications.email': { $ne: false }
+  }).select('email');
+  await Promise.all(users.map(user => sendEmail({ to: user.email, ...email })));
+};
+
+module.exports = {
+  isEmailEnabled,
+  sendEmail,
+  notifyUsers
+};
@@ -0,0 +1,64 @@
+// Webinar roles and what each of them may do. The host is webinar.host;
+// co-hosts and presenters are assigned per webinar (webinar.roles).
+
+const PERMISSIONS = {
+  START: 'start',
+  END: 'end',
+  SCHEDULE: 'schedule',
+  MUTE: 'mute',
+  REMOVE: 'remove',
+  SCREEN_SHARE: 'screenShare',
+  PRESENT: 'present',
+  MANAGE_LOBBY: 'manageLobby',
+  MODERATE_CHAT: 'moderateChat',
+  MANAGE_QA: 'manageQA',
+  MANAGE_POLLS: 'managePolls',
+  MANAGE_QUIZZES: 'manageQuizzes',
+  MANAGE_HANDS: 'manageHands',
+  MANAGE_BREAKOUTS: 'manageBreakouts',
+  MANAGE_STAGE: 'manageStage',
+  INVITE: 'invite',
+  ASSIGN_ROLES: 'assignRoles'
+};
+
+const ROLE_PERMISSIONS = {
+  host: Object.values(PERMISSIONS),
+  cohost: [
+    PERMISSIONS.START,
+    PERMISSIONS.END,
+    PERMISSIONS.SCHEDULE,
+    PERMISSIONS.MUTE,
+    PERMISSIONS.REMOVE,
+    PERMISSIONS.SCREEN_SHARE,
+    PERMISSIONS.PRESENT,
+    PERMISSIONS.MANAGE_LOBBY,
+    PERMISSIONS.MODERATE_CHAT,
+    PERMISSIONS.MANAGE_QA,
+    PERMISSIONS.MANAGE_POLLS,
+    PERMISSIONS.MANAGE_QUIZZES,
+    PERMISSIONS.MANAGE_HANDS,
+    PERMISSIONS.MANAGE_BREAKOUTS,
+    PERMISSIONS.MANAGE_STAGE,
+    PERMISSIONS.INVITE
+  ],
+  presenter: [
+    PERMISSIONS.SCREEN_SHARE,
+    PERMISSIONS.PRESENT,
+    PERMISSIONS.MANAGE_QA,
+    PERMISSIONS.MANAGE_HANDS
+  ],
+  attendee: []
+};
+
+// Roles that can be assigned on top of the host
+const ASSIGNABLE_ROLES = ['cohost', 'presenter'];
+
+// Seniority of the roles, lowest first
+const ROLE_RANKS = ['attendee', 'presenter', 'cohost', 'host'];
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ASSIGNABLE_ROLES,
+  ROLE_RANKS
+};
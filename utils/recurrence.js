@@ -0,0 +1,116 @@
+// RRULE-style recurrence expansion for webinar series.
+// Dates are expanded in UTC, keeping the time of day of the series start date.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 100; // hard cap for open-ended or very long series
+const MAX_SKIPPED_MONTHS = 12; // a reachable day of the month never misses this often in a row
+
+// Candidate dates for FREQ=WEEKLY (optionally BYDAY, 0 = Sunday)
+function* weeklyDates(start, interval, byWeekday) {
+  const weekdays = byWeekday && byWeekday.length
+    ? [...new Set(byWeekday)].sort((a, b) => a - b)
+    : [start.getUTCDay()];
+
+  // Sunday of the week containing the start date, at the start time of day
+  const weekStart = start.getTime() - start.getUTCDay() * DAY_MS;
+
+  for (let week = 0; ; week += interval) {
+    for (const weekday of weekdays) {
+      const date = new Date(weekStart + (week * 7 + weekday) * DAY_MS);
+      if (date >= start) {
+        yield date;
+      }
+    }
+  }
+}
+
+// Candidate dates for FREQ=MONTHLY (optionally BYMONTHDAY)
+function* monthlyDates(start, interval, byMonthDay) {
+  const day = byMonthDay || start.getUTCDate();
+  let skipped = 0;
+
+  for (let month = 0; ; month += interval) {
+    const date = new Date(Date.UTC(
+      start.getUTCFullYear(),
+      start.getUTCMonth() + month,
+      day,
+      start.getUTCHours(),
+      start.getUTCMinutes(),
+      start.getUTCSeconds()
+    ));
+
+    // Skip months that don't have this day (e.g. the 31st), and stop when
+    // the interval never lands on such a month (e.g. yearly from February)
+    if (date.getUTCDate() !== day) {
+      if (++skipped >= MAX_SKIPPED_MONTHS) return;
+      continue;
+    }
+    skipped = 0;
+
+    if (date >= start) {
+      yield date;
+    }
+  }
+}
+
+// Expand a recurrence into occurrence start dates.
+// As in RFC 5545, COUNT is applied before exception dates are removed.
+const generateOccurrenceDates = (startDate, recurrence, exceptions = []) => {
+  const start = new Date(startDate);
+  const interval = recurrence.interval || 1;
+  const limit = Math.min(recurrence.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const until = recurrence.until ? new Date(recurrence.until).getTime() : Infinity;
+  const excluded = new Set(exceptions.map(date => new Date(date).getTime()));
+
+  const candidates = recurrence.frequency === 'monthly'
+    ? monthlyDates(start, interval, recurrence.byMonthDay)
+    : weeklyDates(start, interval, recurrence.byWeekday);
+
+  const dates = [];
+  let generated = 0;
+
+  for (const date of candidates) {
+    if (generated >= limit || date.getTime() > until) break;
+    generated++;
+
+    if (!excluded.has(date.getTime())) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+// Number of occurrences (exceptions included) strictly before a given date
+const countOccurrencesBefore = (startDate, recurrence, date) => {
+  return generateOccurrenceDates(startDate, {
+    ...recurrence,
+    until: new Date(new Date(date).getTime() - 1)
+  }).length;
+};
+
+// Move a recurrence rule along with its start date, so that e.g. a weekly
+// Tuesday/Thursday series moved by one day becomes Wednesday/Friday.
+const shiftRecurrence = (recurrence, fromDate, toDate) => {
+  const from = new Date(fromDate);
+  const to = new Date(toDate);
+  const shifted = { ...recurrence };
+
+  if (shifted.byWeekday && shifted.byWeekday.length) {
+    const dayShift = to.getUTCDay() - from.getUTCDay();
+    shifted.byWeekday = shifted.byWeekday.map(day => (day + dayShift + 7) % 7);
+  }
+
+  if (shifted.byMonthDay) {
+    shifted.byMonthDay = to.getUTCDate();
+  }
+
+  return shifted;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  generateOccurrenceDates,
+  countOccurrencesBefore,
+  shiftRecurrence
+};
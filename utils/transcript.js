@@ -0,0 +1,72 @@
+// Chat transcript export (JSON, CSV and plain text)
+
+const { toCsv } = require('./csv');
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const CSV_COLUMNS = ['timestamp', 'username', 'firstName', 'lastName', 'role', 'message'];
+
+const displayName = (message) => {
+  const fullName = [message.firstName, message.lastName].filter(Boolean).join(' ');
+  return fullName || message.username;
+};
+
+const toRow = (message) => ({
+  timestamp: new Date(message.createdAt).toISOString(),
+  username: message.username,
+  firstName: message.firstName,
+  lastName: message.lastName,
+  role: message.role,
+  message: message.message
+});
+
+const buildJson = (webinar, messages) => {
+  return JSON.stringify({
+    webinar: {
+      id: webinar._id,
+      title: webinar.title,
+      startedAt: webinar.actualStartTime,
+      endedAt: webinar.actualEndTime
+    },
+    messages: messages.map(toRow)
+  }, null, 2);
+};
+
+const buildCsv = (webinar, messages) => {
+  return toCsv(CSV_COLUMNS, messages.map(toRow));
+};
+
+const buildText = (webinar, messages) => {
+  const lines = [
+    `Chat transcript: ${webinar.title}`,
+    webinar.actualStartTime ? `Started: ${new Date(webinar.actualStartTime).toISOString()}` : null,
+    webinar.actualEndTime ? `Ended: ${new Date(webinar.actualEndTime).toISOString()}` : null,
+    ''
+  ].filter(line => line !== null);
+
+  messages.forEach(message => {
+    const role = message.role !== 'attendee' ? ` (${message.role})` : '';
+    lines.push(`[${new Date(message.createdAt).toISOString()}] ${displayName(message)}${role}: ${message.message}`);
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+// Build a transcript in the given format; messages must be in chronological order
+const buildTranscript = (webinar, messages, format = 'json') => {
+  const builders = { json: buildJson, csv: buildCsv, txt: buildText };
+
+  return {
+    ...FORMATS[format],
+    body: builders[format](webinar, messages)
+  };
+};
+
+module.exports = {
+  TRANSCRIPT_FORMATS: Object.keys(FORMATS),
+  buildTranscript
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const {
+  STUN_URLS,
+  TURN_URLS,
+  TURN_SECRET,
+  TURN_CREDENTIAL_TTL
+} = require('../config/webrtc');
+
+const isTurnEnabled = () => Boolean(TURN_URLS.length && TURN_SECRET);
+
+// Time-limited TURN credentials: the username carries the expiry timestamp
+// and the password is HMAC-SHA1(secret, username), which coturn verifies
+// with the shared secret alone
+const createTurnCredentials = (userId, ttl = TURN_CREDENTIAL_TTL) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiresAt}:${userId}`;
+  const credential = crypto
+    .createHmac('sha1', TURN_SECRET)
+    .update(username)
+    .digest('base64');
+
+  return { username, credential, expiresAt: new Date(expiresAt * 1000) };
+};
+
+// RTCConfiguration.iceServers for a user, plus when its TURN credentials expire
+const getIceServers = (userId) => {
+  const iceServers = STUN_URLS.length ? [{ urls: STUN_URLS }] : [];
+
+  if (!isTurnEnabled()) {
+    return { iceServers, ttl: null, expiresAt: null };
+  }
+
+  const { username, credential, expiresAt } = createTurnCredentials(userId);
+  iceServers.push({ urls: TURN_URLS, username, credential });
+
+  return { iceServers, ttl: TURN_CREDENTIAL_TTL, expiresAt };
+};
+
+module.exports = {
+  isTurnEnabled,
+  createTurnCredentials,
+  getIceServers
+};